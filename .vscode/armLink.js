@@ -0,0 +1,806 @@
+/**
+ * Arm Link Module
+ * The arm side of SerialCommunicator without the page: handshake, command queue,
+ * acks and retries, calibration, firmware limits and the latched emergency stop.
+ * The web app's SerialCommunicator extends it; the command-line tool uses it directly.
+ * Events go to listeners registered with on() (the page re-dispatches them on window).
+ */
+
+class ArmLink {
+    constructor() {
+        this.transport = null;
+        this.receiveBuffer = '';
+        this.isConnected = false;
+        this.pendingPositions = {};
+        this.confirmedPositions = {};
+        this.commandTimers = {};
+        this.debounceDelay = 100; // milliseconds
+        this.commandQueue = [];
+        this.activeCommand = null;
+        this.ackTimeout = 2000; // milliseconds to wait for "X OK"
+        this.maxRetries = 2;
+        this.calibration = null;
+        this.activeTrajectory = null; // Token of the trajectory being streamed
+        this.protocol = 'legacy';     // ArmProtocol.PROTOCOL_VERSION once the handshake succeeds
+        this.armInfo = null;          // Firmware's HELLO reply: { protocol, firmware, joints, capabilities }
+        this.nextSeq = 1;
+        this.handshakeTimeout = 700;  // ms per HELLO attempt; the board may still be resetting
+        this.handshakeAttempts = 4;
+        this.handshakeWaiter = null;
+        this.operator = null;         // Unlocked operator, passed on to a relay
+        this.motionControl = null;    // Relay's { holder, mine, stopped }; null when the port is ours alone
+        this.isConnecting = false;
+        this.stopStorageKey = 'roboticArmEmergencyStop';
+        // Survives reloads so a page refresh can't clear an emergency stop
+        this.isStopped = localStorage.getItem(this.stopStorageKey) !== null;
+        this.listeners = {};
+        this.logger = console;
+    }
+
+    /**
+     * Listen for an event (arduinoConnected, commandAcked, stopLatched, ...); handler gets the detail
+     */
+    on(name, handler) {
+        (this.listeners[name] = this.listeners[name] || []).push(handler);
+    }
+
+    off(name, handler) {
+        this.listeners[name] = (this.listeners[name] || []).filter(listener => listener !== handler);
+    }
+
+    emit(name, detail) {
+        (this.listeners[name] || []).forEach(handler => handler(detail));
+    }
+
+    /**
+     * Open a transport, handshake and start accepting commands
+     * options: { baudRate, port } for transport.open(), name for the arduinoConnected event
+     * Throws (with the transport closed again) if the arm can't be reached
+     */
+    async open(transport, { baudRate = 9600, port = null, name = 'serial' } = {}) {
+        if (this.isConnected || this.isConnecting) {
+            return;
+        }
+        this.isConnecting = true;
+
+        transport.onData = (text) => this.handleData(text);
+        transport.onClose = (reason) => this.handleConnectionLost(transport, reason);
+        transport.onControl = (status) => this.handleControlChange(transport, status);
+        transport.onRejected = (text, reason) => this.handleRejectedWrite(reason);
+
+        try {
+            this.receiveBuffer = '';
+            this.transport = transport;
+
+            await transport.open({ baudRate, port });
+            await this.handshake(transport);
+            // Pages start out locked on the relay; tell it if we're already unlocked
+            if (transport.setOperator && this.operator) {
+                transport.setOperator(this.operator);
+            }
+
+            this.isConnected = true;
+            this.updateConnectionUI(true);
+            // The arm was stopped before we connected
+            if (this.armInfo && this.armInfo.stopped) {
+                this.latchStop();
+            }
+
+            this.emit('arduinoConnected', {
+                armId: transport.getArmId(),
+                transport: name,
+                baudRate,
+                protocol: this.protocol,
+                firmware: this.armInfo ? this.armInfo.firmware : null
+            });
+
+            this.logger.log(`Arduino connected successfully at ${baudRate} baud (protocol ${this.protocol})`);
+        } catch (error) {
+            this.transport = null;
+            this.armInfo = null;
+            this.motionControl = null;
+            this.updateConnectionUI(false);
+            try {
+                await transport.close();
+            } catch (closeError) {
+                // Nothing was opened, or the port is already gone
+            }
+            throw error;
+        } finally {
+            this.isConnecting = false;
+        }
+    }
+
+    /**
+     * Close the connection, cancelling anything still queued
+     */
+    async close(reason = 'Disconnected by user') {
+        this.cancelPendingCommands('Disconnected');
+
+        const transport = this.transport;
+        this.transport = null;
+        this.isConnected = false;
+        this.armInfo = null;
+        this.motionControl = null;
+
+        try {
+            if (transport) {
+                await transport.close();
+            }
+            this.logger.log('Arduino disconnected');
+        } catch (error) {
+            this.logger.error('Disconnect error:', error);
+        }
+
+        this.updateConnectionUI(false);
+        this.emit('arduinoDisconnected', { reason });
+    }
+
+    /**
+     * Called when the connection opens or closes (lostReason set if it dropped); the page shows it
+     */
+    updateConnectionUI(connected, lostReason = null) {
+    }
+
+    /**
+     * Called when motion control changes hands on a relay
+     */
+    updateControlUI() {
+    }
+
+    /**
+     * Ask the firmware for its protocol version, firmware version and joint limits
+     * A sketch that never answers (or speaks another version) is driven with legacy unframed commands
+     */
+    async handshake(transport) {
+        this.protocol = 'legacy';
+        this.armInfo = null;
+
+        for (let attempt = 1; attempt <= this.handshakeAttempts && !this.armInfo; attempt++) {
+            const seq = this.takeSeq();
+            const reply = new Promise(resolve => {
+                this.handshakeWaiter = { resolve };
+                setTimeout(() => resolve(null), this.handshakeTimeout);
+            });
+            await transport.write(ArmProtocol.frame(seq, ArmProtocol.HELLO_COMMAND) + '\n');
+            this.armInfo = await reply;
+            this.handshakeWaiter = null;
+        }
+
+        if (!this.armInfo) {
+            this.logger.warn('No handshake reply - using the legacy protocol');
+        } else if (this.armInfo.protocol !== ArmProtocol.PROTOCOL_VERSION) {
+            this.logger.warn(`Firmware speaks protocol ${this.armInfo.protocol}, expected ${ArmProtocol.PROTOCOL_VERSION} - using the legacy protocol`);
+        } else {
+            this.protocol = this.armInfo.protocol;
+            this.logger.log(`Firmware ${this.armInfo.firmware}, protocol ${this.protocol}`);
+        }
+    }
+
+    /**
+     * Next frame sequence number (1-9999, wrapping)
+     */
+    takeSeq() {
+        const seq = this.nextSeq;
+        this.nextSeq = seq >= 9999 ? 1 : seq + 1;
+        return seq;
+    }
+
+    isFramed() {
+        return this.protocol === ArmProtocol.PROTOCOL_VERSION;
+    }
+
+    /**
+     * Firmware details from the handshake, or null for a legacy sketch
+     */
+    getArmInfo() {
+        return this.armInfo ? { ...this.armInfo, protocol: this.protocol } : null;
+    }
+
+    /**
+     * Whether the firmware supports an optional command such as 'W'
+     * Legacy sketches don't report capabilities and predate every optional command, so they have none
+     */
+    supports(capability) {
+        return Boolean(this.armInfo) && this.armInfo.capabilities.includes(capability);
+    }
+
+    /**
+     * Remember who is unlocked (null once locked) and tell a relay, which only gives
+     * motion control to unlocked operators and takes it back when they lock
+     */
+    setOperator(operator) {
+        this.operator = operator ? { name: operator.name, role: operator.role } : null;
+        if (this.transport && this.transport.setOperator) {
+            this.transport.setOperator(this.operator);
+        }
+        this.updateControlUI();
+    }
+
+    /**
+     * False while another page connected to the same relay holds motion control
+     */
+    hasMotionControl() {
+        return !this.motionControl || this.motionControl.mine;
+    }
+
+    getMotionControl() {
+        return this.motionControl ? { ...this.motionControl } : null;
+    }
+
+    toggleMotionControl() {
+        if (!this.transport || !this.transport.requestControl) {
+            return;
+        }
+        if (this.hasMotionControl()) {
+            this.transport.releaseControl();
+        } else {
+            this.transport.requestControl();
+        }
+    }
+
+    /**
+     * The relay announced who holds motion control (sent to every page on each change)
+     */
+    handleControlChange(transport, status) {
+        if (this.transport !== transport) {
+            return;
+        }
+        const previous = this.motionControl;
+        this.motionControl = status;
+
+        // Losing control drops anything still waiting to be sent
+        if (previous && previous.mine && !status.mine) {
+            this.cancelPendingCommands('Motion control released');
+        }
+        // The stop is the arm's, so a reset by the page holding control clears it here too
+        if (previous && previous.stopped && !status.stopped && this.isStopped) {
+            this.clearStopLatch('Reset from another station');
+        }
+        this.updateControlUI();
+        this.emit('motionControlChanged', { holder: status.holder, mine: status.mine });
+    }
+
+    /**
+     * The relay refused a write (no motion control, stop latched, unknown command)
+     */
+    handleRejectedWrite(reason) {
+        this.logger.warn('Relay refused command:', reason);
+        if (this.activeCommand) {
+            this.failActiveCommand(new Error(`Relay refused ${this.activeCommand.command}: ${reason}`));
+        }
+    }
+
+    /**
+     * The transport dropped without disconnect() (USB unplugged, port error)
+     */
+    async handleConnectionLost(transport, reason) {
+        if (this.transport !== transport) {
+            return;
+        }
+        this.logger.warn('Arduino connection lost:', reason);
+
+        this.transport = null;
+        this.isConnected = false;
+        this.armInfo = null;
+        this.motionControl = null;
+        this.cancelPendingCommands('Connection lost');
+        this.updateConnectionUI(false, reason);
+
+        try {
+            await transport.close();
+        } catch (error) {
+            // The device is already gone; closing just releases the port
+            this.logger.warn('Close after connection loss:', error.message);
+        }
+
+        this.emit('arduinoDisconnected', { reason });
+    }
+
+    /**
+     * Split incoming text into lines and handle each one
+     */
+    handleData(text) {
+        this.receiveBuffer += text;
+
+        let newlineIndex;
+        while ((newlineIndex = this.receiveBuffer.indexOf('\n')) >= 0) {
+            const line = this.receiveBuffer.slice(0, newlineIndex).trim();
+            this.receiveBuffer = this.receiveBuffer.slice(newlineIndex + 1);
+            if (line) {
+                this.handleResponse(line);
+            }
+        }
+    }
+
+    /**
+     * Parse a response line and dispatch it as an arduinoResponse event
+     */
+    handleResponse(line) {
+        const response = ArmProtocol.parseResponse(line);
+
+        if (response.type === 'hello' && this.handshakeWaiter && response.seq !== undefined) {
+            this.handshakeWaiter.resolve(response.info);
+            return;
+        }
+        if (!this.acceptResponse(response)) {
+            this.logger.warn('Rejected reply:', line);
+            return;
+        }
+
+        if (response.type === 'error') {
+            this.retryRejectedCommand(response);
+            return;
+        }
+
+        if (response.type === 'joint-ack') {
+            // Firmware doesn't echo the angle, so use the last (uncalibrated) value sent for that joint;
+            // "Claw OPEN/CLOSED" carry the wire angle, which differs from the UI's once calibrated
+            if (this.pendingPositions[response.joint] !== undefined) {
+                response.angle = this.pendingPositions[response.joint];
+            }
+            this.confirmedPositions[response.joint] = response.angle;
+        }
+
+        if (response.type === 'waypoint-ack') {
+            // One waypoint is in flight at a time, so the pending pose is the one reached
+            // (or, with capability Q, the one the arm has just started towards)
+            response.pose = {};
+            ArmProtocol.WAYPOINT_JOINTS.forEach(joint => {
+                response.pose[joint] = this.pendingPositions[joint];
+                this.confirmedPositions[joint] = this.pendingPositions[joint];
+            });
+        }
+
+        if (response.type === 'stop-ack' && !this.isStopped) {
+            // Another page sharing the relay stopped the arm
+            this.latchStop('Stopped from another station');
+            this.cancelPendingCommands('Cancelled by emergency stop');
+        }
+
+        if (response.type === 'refused') {
+            // Firmware is latched (e.g. stopped before this page connected)
+            this.latchStop();
+            if (this.activeCommand) {
+                this.failActiveCommand(new Error('Arm refused motion: emergency stop is latched'));
+            }
+        }
+
+        if (this.activeCommand && this.isReplyTo(this.activeCommand, response) &&
+            ArmProtocol.isAckFor(this.activeCommand.command, response)) {
+            this.completeActiveCommand(response);
+        }
+
+        this.logger.log('Received:', line);
+        this.emit('arduinoResponse', response);
+    }
+
+    /**
+     * Drop replies that can't be trusted: corrupted frames and, once the framed protocol
+     * is in use, unframed lines other than the boot banner and the (unframed) STOP's ack
+     */
+    acceptResponse(response) {
+        if (response.type === 'malformed') {
+            return false;
+        }
+        if (this.isFramed() && response.seq === undefined) {
+            return ['ready', 'stop-ack'].includes(response.type);
+        }
+        return true;
+    }
+
+    /**
+     * Framed replies echo the sequence number of the command they answer
+     */
+    isReplyTo(entry, response) {
+        return response.seq === undefined || response.seq === entry.seq;
+    }
+
+    /**
+     * The firmware couldn't read the active command's frame: send it again straight away
+     */
+    retryRejectedCommand(response) {
+        const entry = this.activeCommand;
+        if (!entry || !this.isReplyTo(entry, response)) {
+            return;
+        }
+
+        clearTimeout(entry.timer);
+        if (entry.attempts <= this.maxRetries) {
+            this.logger.warn(`Firmware rejected ${entry.command} (${response.reason}), resending`);
+            this.transmitActiveCommand();
+        } else {
+            this.failActiveCommand(new Error(`Firmware rejected ${entry.command}: ${response.reason}`));
+        }
+    }
+
+    /**
+     * Send command to Arduino
+     */
+    async sendCommand(command) {
+        if (!this.transport || !this.isConnected) {
+            this.logger.warn('Cannot send command: Not connected');
+            return false;
+        }
+
+        try {
+            await this.transport.write(command + "\n");
+            this.logger.log('Sent:', command);
+            return true;
+        } catch (error) {
+            this.logger.error('Send error:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Apply joint calibration to a command before it is written
+     * Throws if the angle is outside the joint's calibrated limits
+     */
+    prepareCommand(command) {
+        return this.calibration ? this.calibration.toWire(command) : command;
+    }
+
+    /**
+     * Throw if a servo angle is outside the limits the firmware reported in its handshake
+     */
+    checkFirmwareLimits(command) {
+        const joints = this.armInfo ? this.armInfo.joints : {};
+        const waypoint = ArmProtocol.parseWaypoint(command);
+        const parsed = ArmProtocol.parseCommand(command);
+        const angles = waypoint ? waypoint.pose : {};
+        // Claw 0/1 are the open/closed shorthand, not angles
+        if (parsed && !(parsed.joint === 'claw' && (parsed.value === 0 || parsed.value === 1))) {
+            angles[parsed.joint] = parsed.value;
+        }
+
+        Object.entries(angles).forEach(([joint, angle]) => {
+            const limits = joints[joint];
+            if (limits && (angle < limits.min || angle > limits.max)) {
+                throw new Error(`${joint} servo angle ${angle}° is outside the firmware limits ${limits.min}-${limits.max}°`);
+            }
+        });
+    }
+
+    /**
+     * Calibrate a command, announcing a commandRejected event if it's out of range
+     */
+    checkCommand(command) {
+        try {
+            if (this.isStopped && command !== ArmProtocol.RESET_COMMAND) {
+                throw new Error('emergency stop is latched - reset required');
+            }
+            if (!this.hasMotionControl()) {
+                throw new Error(this.motionControl.holder
+                    ? `${this.motionControl.holder} has motion control`
+                    : 'take motion control first');
+            }
+            const wireCommand = this.prepareCommand(command);
+            this.checkFirmwareLimits(wireCommand);
+            return wireCommand;
+        } catch (error) {
+            this.logger.warn('Command rejected:', error.message);
+            this.emit('commandRejected', { command, reason: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Queue a command and resolve once the Arduino acknowledges it
+     * Commands with the same key replace each other while still waiting in the queue
+     */
+    enqueueCommand(command, key = null) {
+        let wireCommand;
+        try {
+            wireCommand = this.checkCommand(command);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        if (key !== null) {
+            const queued = this.commandQueue.find(entry => entry.key === key);
+            if (queued) {
+                queued.command = wireCommand;
+                queued.requested = command;
+                return queued.promise;
+            }
+        }
+
+        // command is what goes on the wire, requested is the uncalibrated angle
+        const entry = { command: wireCommand, requested: command, key, attempts: 0, timer: null };
+        entry.promise = new Promise((resolve, reject) => {
+            entry.resolve = resolve;
+            entry.reject = reject;
+        });
+
+        this.commandQueue.push(entry);
+        this.processQueue();
+        return entry.promise;
+    }
+
+    /**
+     * Send the next queued command if none is waiting for an ack
+     */
+    processQueue() {
+        if (this.activeCommand || this.commandQueue.length === 0) {
+            return;
+        }
+
+        this.activeCommand = this.commandQueue.shift();
+        this.transmitActiveCommand();
+    }
+
+    /**
+     * Write the active command and start its ack timer
+     */
+    async transmitActiveCommand() {
+        const entry = this.activeCommand;
+        const attempt = ++entry.attempts;
+
+        // Retries keep the sequence number, so a late ack for an earlier attempt still counts
+        if (this.isFramed() && entry.seq === undefined) {
+            entry.seq = this.takeSeq();
+        }
+        // joint and angle are only set for joint commands, pose and duration for waypoints
+        const requested = ArmProtocol.parseCommand(entry.requested) || {};
+        const waypoint = ArmProtocol.parseWaypoint(entry.requested) || {};
+        // Recorded before writing: a move to where the servo already is can be acked before write() returns
+        if (requested.joint) {
+            this.pendingPositions[requested.joint] = requested.value;
+        }
+        if (waypoint.pose) {
+            Object.assign(this.pendingPositions, waypoint.pose);
+        }
+
+        const sent = await this.sendCommand(this.isFramed() ? ArmProtocol.frame(entry.seq, entry.command) : entry.command);
+        // Acked, cancelled or already resent (firmware rejected the frame) while writing
+        if (this.activeCommand !== entry || entry.attempts !== attempt) {
+            return;
+        }
+        if (!sent) {
+            this.failActiveCommand(new Error(`Failed to send ${entry.command}`));
+            return;
+        }
+
+        this.emit('commandSent', {
+            command: entry.command,
+            requested: entry.requested,
+            attempt: entry.attempts,
+            joint: requested.joint,
+            angle: requested.value,
+            pose: waypoint.pose,
+            duration: waypoint.duration
+        });
+
+        entry.timer = setTimeout(() => {
+            if (entry.attempts <= this.maxRetries) {
+                this.logger.warn(`No ack for ${entry.command}, retrying (${entry.attempts}/${this.maxRetries})`);
+                this.transmitActiveCommand();
+            } else {
+                this.failActiveCommand(new Error(`No ack for ${entry.command} after ${entry.attempts} attempts`));
+            }
+        }, this.ackTimeout);
+    }
+
+    completeActiveCommand(response) {
+        const entry = this.activeCommand;
+        clearTimeout(entry.timer);
+        this.activeCommand = null;
+        entry.resolve(response);
+        this.emit('commandAcked', { command: entry.command, response: response.raw });
+        this.processQueue();
+    }
+
+    failActiveCommand(error) {
+        const entry = this.activeCommand;
+        clearTimeout(entry.timer);
+        this.activeCommand = null;
+        entry.reject(error);
+        this.emit('commandFailed', { command: entry.command, reason: error.message });
+        this.processQueue();
+    }
+
+    /**
+     * Reject the active command and everything still queued
+     */
+    clearQueue(reason) {
+        const entries = this.commandQueue.splice(0);
+        if (this.activeCommand) {
+            clearTimeout(this.activeCommand.timer);
+            entries.unshift(this.activeCommand);
+            this.activeCommand = null;
+        }
+        entries.forEach(entry => entry.reject(new Error(reason)));
+    }
+
+    /**
+     * Drop debounced slider commands that haven't been queued yet, then the queue itself
+     */
+    cancelPendingCommands(reason) {
+        Object.values(this.commandTimers).forEach(timer => clearTimeout(timer));
+        this.commandTimers = {};
+        this.activeTrajectory = null;
+        this.clearQueue(reason);
+    }
+
+    /**
+     * Send debounced command (waits until user stops moving slider)
+     */
+    sendDebounced(id, command) {
+        this.debounce(id, () => this.enqueueCommand(command, id));
+    }
+
+    /**
+     * Run send() once the control identified by id has been still for debounceDelay
+     * Cancelled along with queued commands (emergency stop, disconnect)
+     */
+    debounce(id, send) {
+        // Clear existing timer for this control
+        if (this.commandTimers[id]) {
+            clearTimeout(this.commandTimers[id]);
+        }
+
+        // Set new timer
+        this.commandTimers[id] = setTimeout(() => {
+            delete this.commandTimers[id];
+            send().catch(error => {
+                this.logger.error('Command failed:', error.message);
+            });
+        }, this.debounceDelay);
+    }
+
+    /**
+     * Stream a planned trajectory (TrajectoryPlanner.plan()) as waypoint commands,
+     * each sent once the previous one is acknowledged
+     * A sketch with capability Q acks a waypoint as it starts it and reads the next one during the move,
+     * so the arm doesn't pause for the round trip between waypoints
+     * Starting another trajectory or cancelPendingCommands() ends this one after the waypoint in progress
+     * Resolves true once the last waypoint is reached, false if it was superseded
+     */
+    async streamTrajectory(trajectory) {
+        const token = {};
+        this.activeTrajectory = token;
+
+        try {
+            for (const waypoint of trajectory.waypoints) {
+                if (this.activeTrajectory !== token) {
+                    return false;
+                }
+                await this.enqueueCommand(ArmProtocol.formatWaypoint(waypoint.pose, waypoint.duration));
+            }
+
+            const last = trajectory.waypoints[trajectory.waypoints.length - 1];
+            if (last && this.supports('Q')) {
+                // Acked as it started: wait for the arm to get there
+                await new Promise(resolve => setTimeout(resolve, last.duration));
+            }
+            return true;
+        } finally {
+            if (this.activeTrajectory === token) {
+                this.activeTrajectory = null;
+            }
+        }
+    }
+
+    /**
+     * Send immediate command (for buttons)
+     * Resolves with the Arduino's ack, rejects on timeout
+     */
+    sendImmediate(command) {
+        return this.enqueueCommand(command);
+    }
+
+    /**
+     * Send emergency stop
+     * Latches immediately: pending and future motion commands are refused until resetEmergencyStop()
+     */
+    async emergencyStop() {
+        this.logger.warn('EMERGENCY STOP ACTIVATED');
+        this.latchStop();
+        this.cancelPendingCommands('Cancelled by emergency stop');
+        return await this.sendCommand(ArmProtocol.STOP_COMMAND);
+    }
+
+    latchStop(reason = null) {
+        if (this.isStopped) {
+            return;
+        }
+        this.isStopped = true;
+        localStorage.setItem(this.stopStorageKey, new Date().toISOString());
+        this.emit('stopLatched', { reason });
+    }
+
+    /**
+     * Clear the latched stop on the Arduino, then in the web app
+     * Callers must re-authenticate the operator first
+     */
+    async resetEmergencyStop() {
+        await this.sendImmediate(ArmProtocol.RESET_COMMAND);
+        this.clearStopLatch();
+    }
+
+    clearStopLatch(reason = null) {
+        this.isStopped = false;
+        localStorage.removeItem(this.stopStorageKey);
+        this.emit('stopCleared', { reason });
+    }
+
+    /**
+     * True while an emergency stop is latched
+     */
+    isStopLatched() {
+        return this.isStopped;
+    }
+
+    /**
+     * Check connection status
+     */
+    getConnectionState() {
+        return this.isConnected;
+    }
+
+    /**
+     * Identify the connected arm for per-arm settings
+     */
+    getArmId() {
+        return this.transport ? this.transport.getArmId() : 'default';
+    }
+
+    /**
+     * Last positions acknowledged by the Arduino
+     */
+    getConfirmedPositions() {
+        return { ...this.confirmedPositions };
+    }
+
+    /**
+     * Where each joint has last been told to go (sent, possibly not yet acknowledged)
+     */
+    getCommandedPositions() {
+        return { ...this.confirmedPositions, ...this.pendingPositions };
+    }
+
+    /**
+     * Take a pose as reached without moving: one saved by an earlier session, or the pose
+     * the sketch boots into after a reset
+     */
+    assumePositions(pose) {
+        this.confirmedPositions = { ...pose };
+        this.pendingPositions = {};
+    }
+
+    /**
+     * Set debounce delay
+     */
+    setDebounceDelay(delay) {
+        this.debounceDelay = delay;
+    }
+
+    /**
+     * Set how long to wait for an ack before retrying
+     */
+    setAckTimeout(timeout) {
+        this.ackTimeout = timeout;
+    }
+
+    /**
+     * Use a JointCalibration for every queued command
+     */
+    setCalibration(calibration) {
+        this.calibration = calibration;
+    }
+
+    /**
+     * Set how many times an unacknowledged command is resent
+     */
+    setMaxRetries(retries) {
+        this.maxRetries = retries;
+    }
+}
+
+// Shared by the page (SerialCommunicator) and the command-line tool (node/arm.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArmLink;
+} else {
+    window.ArmLink = ArmLink;
+}
\ No newline at end of file
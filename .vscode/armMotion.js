@@ -0,0 +1,100 @@
+/**
+ * Arm Motion Module
+ * Whole-pose moves on top of an ArmLink: clamping to the joint ranges, checking every
+ * joint before moving any, and streaming a planned trajectory when the firmware takes W:
+ */
+
+class ArmMotion {
+    constructor(link, planner) {
+        this.link = link;
+        this.planner = planner;
+    }
+
+    /**
+     * Pose the sketch starts in, and the one "home" returns to
+     */
+    static get HOME_POSE() {
+        return { base: 80, mid: 95, near: 45, claw: 0 };
+    }
+
+    /**
+     * Same ranges as the page's joint sliders
+     */
+    static get JOINT_RANGES() {
+        return {
+            base: { min: 0, max: 180 },
+            mid: { min: 0, max: 180 },
+            near: { min: 0, max: 180 },
+            claw: { min: ArmProtocol.CLAW_OPEN, max: ArmProtocol.CLAW_CLOSED }
+        };
+    }
+
+    /**
+     * Round an angle and clamp it to the joint's range
+     */
+    static clamp(joint, angle) {
+        const { min, max } = ArmMotion.JOINT_RANGES[joint];
+        return Math.min(Math.max(Math.round(angle), min), max);
+    }
+
+    /**
+     * Stream planned waypoints unless the profile is joint by joint or the firmware lacks W:
+     */
+    useWaypoints() {
+        return this.planner.isSynchronized() && this.link.supports('W');
+    }
+
+    /**
+     * Pose the arm was last told to take (the sketch starts at the home pose)
+     */
+    getCommandedPose() {
+        return { ...ArmMotion.HOME_POSE, ...this.link.getCommandedPositions() };
+    }
+
+    /**
+     * Move every joint in a pose; resolves once the Arduino acks all of them
+     * With a synchronized profile the joints move together along a planned trajectory,
+     * replacing any trajectory still streaming (which then rejects as superseded)
+     * onTarget(joint, angle) is called with each clamped target before anything is sent
+     */
+    async moveToPose(pose, onTarget = () => {}) {
+        const targets = Object.keys(ArmMotion.JOINT_RANGES)
+            .filter(joint => pose[joint] !== undefined)
+            .map(joint => ({ joint, value: ArmMotion.clamp(joint, pose[joint]) }));
+
+        // Check every joint against its limits before moving any of them
+        targets.forEach(({ joint, value }) => {
+            this.link.checkCommand(`${ArmProtocol.JOINT_CODES[joint]}:${value}`);
+        });
+        targets.forEach(({ joint, value }) => onTarget(joint, value));
+
+        if (this.useWaypoints()) {
+            const from = this.getCommandedPose();
+            const to = { ...from };
+            targets.forEach(({ joint, value }) => {
+                to[joint] = value;
+            });
+
+            const completed = await this.link.streamTrajectory(this.planner.plan(from, to));
+            if (!completed) {
+                throw new Error('Superseded by a newer move');
+            }
+            return;
+        }
+
+        const commands = targets.map(({ joint, value }) => `${ArmProtocol.JOINT_CODES[joint]}:${value}`);
+
+        await Promise.all(commands.map(command => this.link.sendImmediate(command)));
+    }
+
+    home() {
+        return this.moveToPose(ArmMotion.HOME_POSE);
+    }
+}
+
+// Shared by RoboticArmController and the command-line tool (node/arm.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArmMotion;
+} else {
+    window.ArmMotion = ArmMotion;
+}
\ No newline at end of file
@@ -0,0 +1,278 @@
+/**
+ * Arm Protocol Module
+ * Parses the lines printed by the Arduino firmware into typed responses
+ * and frames commands for protocol version 2
+ */
+
+class ArmProtocol {
+    /**
+     * Command letter for each joint
+     */
+    static get JOINT_CODES() {
+        return { base: 'B', mid: 'M', near: 'N', claw: 'C' };
+    }
+
+    /**
+     * Claw angles the firmware uses for C:0 / C:1
+     */
+    static get CLAW_OPEN() {
+        return 0;
+    }
+
+    static get CLAW_CLOSED() {
+        return 20;
+    }
+
+    /**
+     * Latch the firmware's emergency stop; the ":0" lets parseInt() return without waiting
+     * on the legacy sketch. Always sent unframed so the firmware's mid-move peek sees the 'S'
+     */
+    static get STOP_COMMAND() {
+        return 'STOP:0';
+    }
+
+    /**
+     * Clear the latched stop so the firmware accepts motion again
+     */
+    static get RESET_COMMAND() {
+        return 'RESET:0';
+    }
+
+    /**
+     * Framed protocol this page speaks; firmware that doesn't answer HELLO is driven
+     * with the legacy unframed text commands
+     */
+    static get PROTOCOL_VERSION() {
+        return 2;
+    }
+
+    /**
+     * Handshake asking for protocol version, firmware version, joint limits and capabilities
+     */
+    static get HELLO_COMMAND() {
+        return `HELLO:${this.PROTOCOL_VERSION}`;
+    }
+
+    /**
+     * XOR of every character, as two upper-case hex digits
+     */
+    static checksum(text) {
+        let sum = 0;
+        for (let i = 0; i < text.length; i++) {
+            sum ^= text.charCodeAt(i) & 0xff;
+        }
+        return sum.toString(16).toUpperCase().padStart(2, '0');
+    }
+
+    /**
+     * Wrap a command as "#seq|command*CS"; CS covers everything between '#' and '*'
+     */
+    static frame(seq, command) {
+        const body = `${seq}|${command}`;
+        return `#${body}*${this.checksum(body)}`;
+    }
+
+    /**
+     * Unwrap a framed line into { seq, body }, or null if it's malformed or the checksum is wrong
+     */
+    static unframe(line) {
+        const match = /^#(\d+)\|([^*]*)\*([0-9A-Fa-f]{2})$/.exec(line.trim());
+        if (!match || this.checksum(`${match[1]}|${match[2]}`) !== match[3].toUpperCase()) {
+            return null;
+        }
+        return { seq: parseInt(match[1], 10), body: match[2] };
+    }
+
+    /**
+     * Parse the firmware's handshake reply, e.g.
+     * "HELLO 2 fw=1.4.0 joints=B:0-180,M:0-180,N:0-180,C:0-20 caps=W,Q stopped=0"
+     * Returns { protocol, firmware, joints: { base: { min, max }, ... }, capabilities, stopped } or null
+     */
+    static parseHello(text) {
+        const match = /^HELLO (\d+)((?: [a-z]+=\S*)*)$/.exec(text.trim());
+        if (!match) {
+            return null;
+        }
+
+        const fields = {};
+        match[2].trim().split(' ').filter(Boolean).forEach(pair => {
+            const [name, value] = pair.split('=');
+            fields[name] = value;
+        });
+
+        const joints = {};
+        (fields.joints || '').split(',').filter(Boolean).forEach(spec => {
+            const limits = /^([A-Z]+):(\d+)-(\d+)$/.exec(spec);
+            const joint = limits && Object.keys(this.JOINT_CODES)
+                .find(name => this.JOINT_CODES[name] === limits[1]);
+            if (joint) {
+                joints[joint] = { min: parseInt(limits[2], 10), max: parseInt(limits[3], 10) };
+            }
+        });
+
+        return {
+            protocol: parseInt(match[1], 10),
+            firmware: fields.fw || 'unknown',
+            joints,
+            capabilities: (fields.caps || '').split(',').filter(Boolean),
+            stopped: fields.stopped === '1'
+        };
+    }
+
+    /**
+     * Format a HELLO reply from parseHello()-style info (used by the simulator and the relay)
+     */
+    static formatHello({ protocol, firmware, joints, capabilities, stopped }) {
+        const limits = Object.entries(joints)
+            .map(([joint, { min, max }]) => `${this.JOINT_CODES[joint]}:${min}-${max}`);
+        return `HELLO ${protocol} fw=${firmware} joints=${limits.join(',')} ` +
+            `caps=${capabilities.join(',')} stopped=${stopped ? 1 : 0}`;
+    }
+
+    /**
+     * Joint order in a waypoint command
+     */
+    static get WAYPOINT_JOINTS() {
+        return ['base', 'mid', 'near', 'claw'];
+    }
+
+    /**
+     * Format a synchronized move "W:base,mid,near,claw,ms": the firmware interpolates
+     * every joint from where it is, so all of them reach the pose together after duration ms
+     * Claw is a plain angle here (no 0 = open / 1 = closed shorthand)
+     */
+    static formatWaypoint(pose, duration) {
+        const angles = this.WAYPOINT_JOINTS.map(joint => Math.round(pose[joint]));
+        return `W:${angles.join(',')},${Math.max(0, Math.round(duration))}`;
+    }
+
+    /**
+     * Parse a waypoint command into { pose, duration }, or null for anything else
+     */
+    static parseWaypoint(command) {
+        const match = /^W:(-?\d+),(-?\d+),(-?\d+),(-?\d+),(\d+)$/.exec(command.trim());
+        if (!match) {
+            return null;
+        }
+
+        const pose = {};
+        this.WAYPOINT_JOINTS.forEach((joint, i) => {
+            pose[joint] = parseInt(match[i + 1], 10);
+        });
+        return { pose, duration: parseInt(match[5], 10) };
+    }
+
+    /**
+     * Parse an outgoing command like "B:90" into { joint, value }
+     */
+    static parseCommand(command) {
+        const match = /^([A-Z]+):(-?\d+)$/.exec(command.trim());
+        if (!match) {
+            return null;
+        }
+
+        const joint = Object.keys(this.JOINT_CODES)
+            .find(name => this.JOINT_CODES[name] === match[1]);
+        if (!joint) {
+            return null;
+        }
+
+        return { joint, value: parseInt(match[2], 10) };
+    }
+
+    /**
+     * Parse one line received from the Arduino
+     * Returns { type: 'ready' | 'joint-ack' | 'waypoint-ack' | 'stop-ack' | 'reset-ack' | 'refused' |
+     * 'hello' | 'error' | 'malformed' | 'unknown', ... }; framed replies also carry seq
+     */
+    static parseResponse(line) {
+        const text = line.trim();
+
+        if (text.startsWith('#')) {
+            const frame = this.unframe(text);
+            if (!frame) {
+                return { type: 'malformed', raw: text };
+            }
+            return { ...this.parseResponse(frame.body), seq: frame.seq };
+        }
+
+        const hello = this.parseHello(text);
+        if (hello) {
+            return { type: 'hello', info: hello, raw: text };
+        }
+
+        // Framed command the firmware couldn't read (bad checksum)
+        if (text.startsWith('ERR ')) {
+            return { type: 'error', reason: text.slice(4), raw: text };
+        }
+
+        if (text === 'Robotic Arm Ready') {
+            return { type: 'ready', raw: text };
+        }
+
+        if (text === 'EMERGENCY STOP') {
+            return { type: 'stop-ack', raw: text };
+        }
+
+        if (text === 'RESET OK') {
+            return { type: 'reset-ack', raw: text };
+        }
+
+        // Motion command refused because the stop is latched
+        if (text === 'STOPPED') {
+            return { type: 'refused', raw: text };
+        }
+
+        const jointMatch = /^(Base|Mid|Near) OK$/.exec(text);
+        if (jointMatch) {
+            return { type: 'joint-ack', joint: jointMatch[1].toLowerCase(), raw: text };
+        }
+
+        if (text === 'Waypoint OK') {
+            return { type: 'waypoint-ack', raw: text };
+        }
+
+        if (text === 'Claw OPEN') {
+            return { type: 'joint-ack', joint: 'claw', angle: this.CLAW_OPEN, raw: text };
+        }
+
+        if (text === 'Claw CLOSED') {
+            return { type: 'joint-ack', joint: 'claw', angle: this.CLAW_CLOSED, raw: text };
+        }
+
+        if (text === 'Claw angle OK') {
+            return { type: 'joint-ack', joint: 'claw', raw: text };
+        }
+
+        return { type: 'unknown', raw: text };
+    }
+
+    /**
+     * Check whether a parsed response acknowledges the given command
+     */
+    static isAckFor(command, response) {
+        const name = command.trim().split(':')[0];
+        if (name === 'STOP') {
+            return response.type === 'stop-ack';
+        }
+        if (name === 'RESET') {
+            return response.type === 'reset-ack';
+        }
+        if (name === 'W') {
+            return response.type === 'waypoint-ack';
+        }
+        if (name === 'HELLO') {
+            return response.type === 'hello';
+        }
+
+        const parsed = this.parseCommand(command);
+        return Boolean(parsed) && response.type === 'joint-ack' && response.joint === parsed.joint;
+    }
+}
+
+// Also loaded by the Node tools (node/relay.js, node/arm.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArmProtocol;
+} else {
+    window.ArmProtocol = ArmProtocol;
+}
\ No newline at end of file
@@ -0,0 +1,231 @@
+/**
+ * Arm Visualization Module
+ * Side and top views of the arm: live pose, target ghost and acknowledged positions
+ */
+
+class ArmView {
+    constructor(kinematics) {
+        this.kinematics = kinematics;
+        this.degreesPerSecond = 200; // Firmware moveSmooth() steps 1° every 5 ms
+        this.livePose = { base: 80, mid: 95, near: 45, claw: 0 };
+        this.targetPose = { ...this.livePose };
+        this.movingTo = {};      // Joint angles sent to the arm and not yet reached
+        this.confirmed = {};     // Joints whose latest move was acknowledged
+        this.jointSpeeds = {};   // °/s per joint while following a synchronized waypoint
+        this.animationFrame = null;
+        this.lastFrameTime = null;
+
+        this.initElements();
+        this.draw();
+    }
+
+    initElements() {
+        this.canvas = document.getElementById('armCanvas');
+        this.ctx = this.canvas.getContext('2d');
+    }
+
+    /**
+     * Pose the operator is commanding (slider values)
+     */
+    setTarget(pose) {
+        this.targetPose = { ...pose };
+        this.draw();
+    }
+
+    /**
+     * A command for this joint was written; animate towards it at firmware speed
+     */
+    startMove(joint, angle) {
+        this.movingTo[joint] = angle;
+        delete this.jointSpeeds[joint];
+        delete this.confirmed[joint];
+        this.animate();
+    }
+
+    /**
+     * A waypoint was written; every joint moves so they all arrive after duration ms
+     */
+    startWaypoint(pose, duration) {
+        Object.entries(pose).forEach(([joint, angle]) => {
+            const distance = Math.abs(angle - this.livePose[joint]);
+            this.movingTo[joint] = angle;
+            this.jointSpeeds[joint] = distance / Math.max(duration, 1) * 1000;
+            delete this.confirmed[joint];
+        });
+        this.animate();
+    }
+
+    /**
+     * The Arduino acknowledged this joint's position
+     */
+    confirmPosition(joint, angle) {
+        if (angle === undefined) {
+            return;
+        }
+        this.livePose[joint] = angle;
+        this.confirmed[joint] = true;
+        delete this.movingTo[joint];
+        delete this.jointSpeeds[joint];
+        this.draw();
+    }
+
+    /**
+     * Stop animating (emergency stop); the arm holds wherever it is
+     */
+    halt() {
+        this.movingTo = {};
+        this.jointSpeeds = {};
+        this.draw();
+    }
+
+    animate() {
+        if (this.animationFrame) {
+            return;
+        }
+        this.lastFrameTime = null;
+        this.animationFrame = requestAnimationFrame((time) => this.step(time));
+    }
+
+    step(time) {
+        const elapsed = this.lastFrameTime === null ? 0 : (time - this.lastFrameTime) / 1000;
+        this.lastFrameTime = time;
+
+        // Waypoints move every joint at once; single-joint commands run one at a time like moveSmooth()
+        const pending = Object.keys(this.movingTo);
+        const synchronized = pending.filter(joint => this.jointSpeeds[joint] !== undefined);
+        const moving = synchronized.length > 0 ? synchronized : pending.slice(0, 1);
+
+        moving.forEach(joint => {
+            const speed = this.jointSpeeds[joint] !== undefined ? this.jointSpeeds[joint] : this.degreesPerSecond;
+            const delta = this.movingTo[joint] - this.livePose[joint];
+            this.livePose[joint] += Math.sign(delta) * Math.min(Math.abs(delta), speed * elapsed);
+        });
+
+        this.draw();
+
+        const stillMoving = Object.keys(this.movingTo).some(name => this.livePose[name] !== this.movingTo[name]);
+        if (stillMoving) {
+            this.animationFrame = requestAnimationFrame((t) => this.step(t));
+        } else {
+            this.animationFrame = null;
+        }
+    }
+
+    isAtTarget() {
+        return ['base', 'mid', 'near', 'claw'].every(joint =>
+            Math.round(this.livePose[joint]) === Math.round(this.targetPose[joint])
+        );
+    }
+
+    draw() {
+        const { width, height } = this.canvas;
+        this.ctx.clearRect(0, 0, width, height);
+
+        const config = this.kinematics.getConfig();
+        const reach = config.upperArm + config.forearm;
+        const half = width / 2;
+
+        // Side view on the left, top view on the right
+        const sideScale = Math.min((half - 20) / (2 * reach), (height - 30) / (config.baseHeight + reach));
+        const topScale = Math.min((half - 20) / (2 * reach), (height - 30) / reach);
+        const side = { ox: half / 2, oy: height - 15, scale: sideScale };
+        const top = { ox: half + half / 2, oy: height - 15, scale: topScale };
+
+        this.drawFrame(side, top, config);
+
+        if (!this.isAtTarget()) {
+            this.drawArm(this.targetPose, side, top, { color: '#764ba2', alpha: 0.35, dashed: true });
+        }
+        this.drawArm(this.livePose, side, top, { color: '#667eea', alpha: 1, dashed: false });
+        this.drawLegend();
+    }
+
+    drawFrame(side, top, config) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.strokeStyle = '#ddd';
+        ctx.fillStyle = '#999';
+        ctx.font = '12px Segoe UI, sans-serif';
+
+        // Table line and base pedestal in the side view
+        ctx.beginPath();
+        ctx.moveTo(10, side.oy);
+        ctx.lineTo(this.canvas.width / 2 - 10, side.oy);
+        ctx.stroke();
+        ctx.fillRect(side.ox - 8, side.oy - config.baseHeight * side.scale, 16, config.baseHeight * side.scale);
+        ctx.fillText('Side', 10, 15);
+
+        // Reach circle in the top view
+        ctx.beginPath();
+        ctx.arc(top.ox, top.oy, (config.upperArm + config.forearm) * top.scale, Math.PI, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillText('Top', this.canvas.width / 2 + 10, 15);
+        ctx.restore();
+    }
+
+    drawArm(pose, side, top, style) {
+        const ctx = this.ctx;
+        const config = this.kinematics.getConfig();
+        const fk = this.kinematics.forward(pose);
+
+        const shoulder = [side.ox, side.oy - config.baseHeight * side.scale];
+        const elbow = [side.ox + fk.elbow.reach * side.scale, side.oy - fk.elbow.z * side.scale];
+        const tip = [side.ox + fk.reach * side.scale, side.oy - fk.z * side.scale];
+
+        ctx.save();
+        ctx.globalAlpha = style.alpha;
+        ctx.strokeStyle = style.color;
+        ctx.fillStyle = style.color;
+        ctx.lineWidth = 6;
+        ctx.lineCap = 'round';
+        ctx.setLineDash(style.dashed ? [8, 6] : []);
+
+        // Side view: upper arm and forearm
+        ctx.beginPath();
+        ctx.moveTo(...shoulder);
+        ctx.lineTo(...elbow);
+        ctx.lineTo(...tip);
+        ctx.stroke();
+        [shoulder, elbow].forEach(([x, y]) => {
+            ctx.beginPath();
+            ctx.arc(x, y, 5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        // Claw jaws open wider as the claw angle approaches open
+        const opening = 1 - Math.min(1, pose.claw / ArmProtocol.CLAW_CLOSED);
+        const heading = Math.atan2(tip[1] - elbow[1], tip[0] - elbow[0]);
+        ctx.lineWidth = 3;
+        [-1, 1].forEach(sideSign => {
+            const angle = heading + sideSign * (0.15 + opening * 0.5);
+            ctx.beginPath();
+            ctx.moveTo(...tip);
+            ctx.lineTo(tip[0] + 12 * Math.cos(angle), tip[1] + 12 * Math.sin(angle));
+            ctx.stroke();
+        });
+
+        // Top view: +X up, +Y left
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.moveTo(top.ox, top.oy);
+        ctx.lineTo(top.ox - fk.elbow.y * top.scale, top.oy - fk.elbow.x * top.scale);
+        ctx.lineTo(top.ox - fk.y * top.scale, top.oy - fk.x * top.scale);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    drawLegend() {
+        const ctx = this.ctx;
+        const allConfirmed = ['base', 'mid', 'near', 'claw'].every(joint => this.confirmed[joint]);
+        const moving = Object.keys(this.movingTo).length > 0;
+
+        ctx.save();
+        ctx.font = '12px Segoe UI, sans-serif';
+        ctx.fillStyle = moving ? '#667eea' : (allConfirmed ? '#28a745' : '#6c757d');
+        const label = moving ? 'Moving…' : (allConfirmed ? 'Position confirmed by arm' : 'Awaiting arm confirmation');
+        ctx.fillText(label, 10, this.canvas.height - 2);
+        ctx.restore();
+    }
+}
+
+window.ArmView = ArmView;
\ No newline at end of file
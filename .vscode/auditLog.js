@@ -0,0 +1,289 @@
+/**
+ * Audit Log Module
+ * Timestamped record of authentication and motion events, persisted in IndexedDB
+ */
+
+class AuditLog {
+    constructor(getOperator = () => null, dbName = 'roboticArmAudit', storeName = 'events') {
+        this.getOperator = getOperator;
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+        this.dbPromise = null;
+        this.maxEntries = 20000;   // Oldest entries beyond this are pruned
+        this.pruneEvery = 200;     // Entries recorded between prunes
+        this.recordedSincePrune = 0;
+
+        this.attachEventListeners();
+        this.prune();
+    }
+
+    /**
+     * Entry types and their labels in the viewer
+     */
+    static get TYPES() {
+        return {
+            'unlock': 'Unlocked',
+            'lock': 'Locked',
+            'auth-failed': 'Failed authentication',
+            'auth-lockout': 'Authentication lockout',
+            'threshold': 'Match threshold changed',
+            'command-sent': 'Command sent',
+            'command-acked': 'Command acknowledged',
+            'command-failed': 'Command failed',
+            'command-rejected': 'Command blocked',
+            'estop': 'Emergency stop',
+            'estop-reset': 'Emergency stop reset',
+            'connect': 'Connected',
+            'control': 'Motion control',
+            'script': 'Script run',
+            'disconnect': 'Disconnected'
+        };
+    }
+
+    /**
+     * Record the events other modules already dispatch
+     */
+    attachEventListeners() {
+        const on = (name, handler) => window.addEventListener(name, (e) => handler(e.detail || {}));
+
+        on('voiceUnlocked', ({ name, role, score, method = 'voice' }) => this.record('unlock',
+            `${name} (${role}) unlocked with ${this.formatMethod(method, score)}`,
+            { name, role, score, method }, name));
+
+        on('voiceAuthFailed', (detail) => this.record('auth-failed',
+            `Not accepted for ${detail.purpose} (best match ${detail.bestMatch || 'none'}` +
+            (detail.score === null ? ')' : `, ${this.formatScore(detail.score)})`) +
+            (detail.reason ? ` - ${detail.reason}` : ''),
+            detail));
+
+        on('voiceLocked', ({ reason, name }) => this.record('lock', reason, { reason }, name));
+
+        on('voiceLockout', (detail) => this.record('auth-lockout',
+            `Voice authentication locked out for ${Math.round(detail.delay / 1000)} s`, detail));
+
+        on('voiceThresholdChanged', (detail) => this.record('threshold',
+            `${detail.name}: ${this.formatScore(detail.previous)} → ${this.formatScore(detail.threshold)}`, detail));
+
+        on('commandSent', ({ command, requested, attempt }) => this.record('command-sent',
+            attempt > 1 ? `${command} (retry ${attempt - 1})` : command,
+            { command, requested, attempt }));
+
+        on('commandAcked', ({ command, response }) => this.record('command-acked',
+            `${command} → ${response}`, { command, response }));
+
+        on('commandFailed', ({ command, reason }) => this.record('command-failed',
+            reason, { command, reason }));
+
+        on('commandRejected', ({ command, reason }) => this.record('command-rejected',
+            `${command}: ${reason}`, { command, reason }));
+
+        on('emergencyStopActivated', (detail) => this.record('estop',
+            `Emergency stop via ${detail.source}` + (detail.delivered ? '' : ' (STOP not delivered)'),
+            detail, detail.operator));
+
+        on('emergencyStopReset', (detail) => this.record('estop-reset',
+            `Reset by ${detail.operator} with ${this.formatMethod(detail.method || 'voice', detail.score)}`,
+            detail, detail.operator));
+
+        on('arduinoConnected', (detail) => this.record('connect',
+            `Connected to ${detail.armId} (${detail.transport}, ${detail.baudRate} baud, ` +
+            (detail.firmware ? `firmware ${detail.firmware}, protocol ${detail.protocol})` : 'legacy protocol)'), detail));
+
+        on('arduinoDisconnected', (detail) => this.record('disconnect', detail.reason, detail));
+
+        on('motionControlChanged', (detail) => this.record('control',
+            detail.holder ? `${detail.holder} has motion control${detail.mine ? ' (this page)' : ''}` : 'Nobody has motion control',
+            detail));
+
+        on('scriptFinished', (detail) => this.record('script', detail.message, detail));
+    }
+
+    formatScore(score) {
+        return `${Math.round((score || 0) * 100)}%`;
+    }
+
+    /**
+     * 'voice' -> "87% match", 'pin' -> "PIN", 'voice+pin' -> "87% match + PIN"
+     */
+    formatMethod(method, score) {
+        if (method === 'pin') {
+            return 'PIN';
+        }
+        const voice = `${this.formatScore(score)} match`;
+        return method === 'voice+pin' ? `${voice} + PIN` : voice;
+    }
+
+    /**
+     * Append an entry; operator defaults to whoever is currently unlocked
+     */
+    async record(type, message, detail = {}, operator = undefined) {
+        const current = this.getOperator();
+        const entry = {
+            time: new Date().toISOString(),
+            type,
+            operator: operator !== undefined ? operator : (current ? current.name : null),
+            message,
+            detail
+        };
+
+        try {
+            entry.id = await this.run('readwrite', store => store.add(entry));
+            window.dispatchEvent(new CustomEvent('auditEntry', { detail: entry }));
+        } catch (error) {
+            console.error('Audit log error:', error);
+        }
+
+        if (++this.recordedSincePrune >= this.pruneEvery) {
+            this.prune();
+        }
+        return entry;
+    }
+
+    /**
+     * Delete the oldest entries beyond maxEntries; resolves with how many were deleted
+     */
+    async prune() {
+        this.recordedSincePrune = 0;
+
+        try {
+            const excess = await this.run('readonly', store => store.count()) - this.maxEntries;
+            if (excess <= 0) {
+                return 0;
+            }
+
+            const db = await this.open();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction(this.storeName, 'readwrite');
+                const store = transaction.objectStore(this.storeName);
+                // Ids grow with time: skip to the newest entry to drop, then drop it and everything before it
+                const request = store.openKeyCursor();
+                let skipped = false;
+
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) {
+                        return;
+                    }
+                    if (!skipped && excess > 1) {
+                        skipped = true;
+                        cursor.advance(excess - 1);
+                        return;
+                    }
+                    store.delete(IDBKeyRange.upperBound(cursor.primaryKey));
+                };
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+
+            return excess;
+        } catch (error) {
+            console.error('Error pruning audit log:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Open (and create if needed) the audit database
+     */
+    open() {
+        // Events arrive in bursts, so share one pending open between them
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('time', 'time');
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the event store
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * One page of entries, newest first: up to limit entries older than beforeId for which
+     * match(entry) is true, stopping at entries older than since (ISO time)
+     * Resolves with { entries, more }; pass the last entry's id as beforeId for the next page
+     */
+    async loadPage({ beforeId = null, limit = 200, match = () => true, since = null } = {}) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const range = beforeId === null ? null : IDBKeyRange.upperBound(beforeId, true);
+            const request = db.transaction(this.storeName, 'readonly')
+                .objectStore(this.storeName)
+                .openCursor(range, 'prev');
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || (since && cursor.value.time < since)) {
+                    resolve({ entries, more: false });
+                    return;
+                }
+                if (entries.length === limit) {
+                    resolve({ entries, more: true });
+                    return;
+                }
+                if (match(cursor.value)) {
+                    entries.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Every entry for which match(entry) is true, oldest first (for exports)
+     */
+    async loadMatching(match = () => true) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const entries = [];
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(entries);
+                    return;
+                }
+                if (match(cursor.value)) {
+                    entries.push(cursor.value);
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+window.AuditLog = AuditLog;
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * Audit Log Panel
+ * Filters, shows and exports the audit log
+ */
+
+class AuditLogPanel {
+    constructor(auditLog) {
+        this.auditLog = auditLog;
+        this.entries = [];       // Loaded entries matching the filters, newest first
+        this.pageSize = 200;     // Entries read per page; exports include every match
+        this.hasOlder = false;   // More matching entries may be left to load
+        this.loadToken = null;   // Latest load; older ones are ignored when they finish
+        this.searchTimer = null;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.refresh();
+    }
+
+    initElements() {
+        this.typeFilter = document.getElementById('auditTypeFilter');
+        this.searchInput = document.getElementById('auditSearch');
+        this.sinceInput = document.getElementById('auditSince');
+        this.auditTable = document.getElementById('auditTable');
+        this.auditCount = document.getElementById('auditCount');
+        this.exportCsvBtn = document.getElementById('exportAuditCsv');
+        this.exportJsonBtn = document.getElementById('exportAuditJson');
+        this.loadOlderBtn = document.getElementById('auditLoadOlder');
+
+        Object.entries(AuditLog.TYPES).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.typeFilter.appendChild(option);
+        });
+    }
+
+    attachEventListeners() {
+        this.typeFilter.addEventListener('change', () => this.refresh());
+        this.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.refresh(), 300);
+        });
+        this.sinceInput.addEventListener('change', () => this.refresh());
+        this.loadOlderBtn.addEventListener('click', () => this.loadOlder());
+        this.exportCsvBtn.addEventListener('click', () => this.exportCSV());
+        this.exportJsonBtn.addEventListener('click', () => this.exportJSON());
+
+        window.addEventListener('auditEntry', (e) => {
+            const entry = e.detail;
+            if (this.getFilter().match(entry) && !this.entries.some(loaded => loaded.id === entry.id)) {
+                this.entries.unshift(entry);
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Reload the newest page for the current filters
+     */
+    refresh() {
+        this.entries = [];
+        this.hasOlder = false;
+        return this.loadOlder();
+    }
+
+    /**
+     * Read the next page of older entries matching the filters
+     */
+    async loadOlder() {
+        const token = {};
+        this.loadToken = token;
+        const last = this.entries[this.entries.length - 1];
+
+        let page;
+        try {
+            page = await this.auditLog.loadPage({
+                ...this.getFilter(),
+                beforeId: last ? last.id : null,
+                limit: this.pageSize
+            });
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            page = { entries: [], more: false };
+        }
+
+        // The filters changed while this page was loading
+        if (this.loadToken !== token) {
+            return;
+        }
+        const loaded = new Set(this.entries.map(entry => entry.id));
+        this.entries.push(...page.entries.filter(entry => !loaded.has(entry.id)));
+        this.hasOlder = page.more;
+        this.render();
+    }
+
+    /**
+     * The type, text and date filters as { match(entry), since } for AuditLog.loadPage()
+     */
+    getFilter() {
+        const type = this.typeFilter.value;
+        const search = this.searchInput.value.trim().toLowerCase();
+        const since = this.sinceInput.value ? new Date(this.sinceInput.value).toISOString() : null;
+
+        return {
+            since,
+            match: entry =>
+                (!type || entry.type === type) &&
+                (!since || entry.time >= since) &&
+                (!search || `${entry.operator || ''} ${entry.message}`.toLowerCase().includes(search))
+        };
+    }
+
+    render() {
+        this.auditTable.innerHTML = '';
+
+        this.entries.forEach(entry => {
+            const row = document.createElement('tr');
+            row.className = `audit-${entry.type}`;
+            [
+                new Date(entry.time).toLocaleString(),
+                AuditLog.TYPES[entry.type] || entry.type,
+                entry.operator || '—',
+                entry.message
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            this.auditTable.appendChild(row);
+        });
+
+        this.auditCount.textContent = this.hasOlder
+            ? `Showing newest ${this.entries.length} entries`
+            : `${this.entries.length} entries`;
+        this.loadOlderBtn.disabled = !this.hasOlder;
+    }
+
+    /**
+     * Every entry matching the filters, oldest first, read from the log rather than the loaded pages
+     */
+    async getExportEntries() {
+        try {
+            return await this.auditLog.loadMatching(this.getFilter().match);
+        } catch (error) {
+            console.error('Error reading audit log for export:', error);
+            return [];
+        }
+    }
+
+    async exportJSON() {
+        const data = JSON.stringify({ version: 1, entries: await this.getExportEntries() }, null, 2);
+        this.download(data, 'application/json', 'arm-audit-log.json');
+    }
+
+    async exportCSV() {
+        const quote = value => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+        const rows = [['time', 'type', 'operator', 'message', 'detail']];
+        (await this.getExportEntries()).forEach(entry => {
+            rows.push([entry.time, entry.type, entry.operator, entry.message, JSON.stringify(entry.detail)]);
+        });
+        const data = rows.map(row => row.map(quote).join(',')).join('\r\n');
+        this.download(data, 'text/csv', 'arm-audit-log.csv');
+    }
+
+    download(data, type, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([data], { type }));
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+}
+
+window.AuditLogPanel = AuditLogPanel;
\ No newline at end of file
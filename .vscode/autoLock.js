@@ -0,0 +1,193 @@
+/**
+ * Auto-Lock Module
+ * Locks the arm after inactivity or on demand, and holds the security thresholds
+ */
+
+class AutoLock {
+    constructor(voiceAuth) {
+        this.voiceAuth = voiceAuth;
+        this.storageKey = 'roboticArmSecurity';
+        this.settings = { ...AutoLock.DEFAULTS };
+        this.inactivityTimer = null;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.load();
+        this.render();
+        this.apply();
+    }
+
+    /**
+     * Inactivity in minutes (0 = never), lockout after N failed matches,
+     * first lockout in seconds (doubles each time), longest lockout in minutes,
+     * whether voice checks use a random challenge phrase (anti-replay),
+     * and whether unlocking needs voice AND PIN instead of either
+     */
+    static get DEFAULTS() {
+        return {
+            inactivityMinutes: 5,
+            maxFailures: 3,
+            lockoutSeconds: 30,
+            maxLockoutMinutes: 15,
+            requireChallenge: VoiceChallenge.isSupported(),
+            requireTwoFactor: false
+        };
+    }
+
+    initElements() {
+        this.lockNowBtn = document.getElementById('lockNowBtn');
+        this.inputs = {
+            inactivityMinutes: document.getElementById('inactivityMinutes'),
+            maxFailures: document.getElementById('maxFailures'),
+            lockoutSeconds: document.getElementById('lockoutSeconds'),
+            maxLockoutMinutes: document.getElementById('maxLockoutMinutes')
+        };
+        this.requireChallenge = document.getElementById('requireChallenge');
+        this.requireTwoFactor = document.getElementById('requireTwoFactor');
+        this.adminInput = document.getElementById('securityAdminPassphrase');
+        this.saveSecurityBtn = document.getElementById('saveSecurity');
+        this.securityStatus = document.getElementById('securityStatus');
+    }
+
+    attachEventListeners() {
+        this.lockNowBtn.addEventListener('click', () => this.lock('Locked by operator'));
+        this.saveSecurityBtn.addEventListener('click', () => this.save());
+
+        // Anything the operator does, or the arm being commanded, counts as activity
+        ['pointerdown', 'keydown', 'wheel', 'input'].forEach(name => {
+            window.addEventListener(name, () => this.resetTimer(), { passive: true });
+        });
+        window.addEventListener('commandSent', () => this.resetTimer());
+
+        window.addEventListener('voiceUnlocked', () => {
+            this.lockNowBtn.disabled = false;
+            this.resetTimer();
+        });
+        window.addEventListener('voiceLocked', () => {
+            this.lockNowBtn.disabled = true;
+            clearTimeout(this.inactivityTimer);
+        });
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.settings = { ...AutoLock.DEFAULTS, ...saved };
+            }
+        } catch (error) {
+            console.error('Error loading security settings:', error);
+        }
+    }
+
+    /**
+     * Save the panel's settings; any that weaken security need the admin passphrase
+     */
+    async save() {
+        const settings = {};
+        for (const [field, input] of Object.entries(this.inputs)) {
+            const value = Number(input.value);
+            if (!Number.isFinite(value) || value < 0) {
+                this.showStatus(`❌ ${field} must be a number ≥ 0`, '#dc3545');
+                return;
+            }
+            settings[field] = value;
+        }
+        if (settings.maxFailures < 1) {
+            this.showStatus('❌ Allow at least 1 failed attempt before lockout', '#dc3545');
+            return;
+        }
+        settings.requireChallenge = this.requireChallenge.checked;
+        settings.requireTwoFactor = this.requireTwoFactor.checked;
+
+        const weakened = this.weakenedSettings(settings);
+        if (weakened.length > 0 && !(await this.voiceAuth.checkAdmin(this.adminInput, this.securityStatus))) {
+            this.securityStatus.textContent += ` - needed to relax ${weakened.join(', ')}`;
+            return;
+        }
+        this.adminInput.value = '';
+
+        this.settings = settings;
+        localStorage.setItem(this.storageKey, JSON.stringify(settings));
+        this.apply();
+        this.showStatus('✅ Security settings saved', '#28a745');
+    }
+
+    /**
+     * Fields in settings that are less strict than the current ones
+     */
+    weakenedSettings(settings) {
+        const current = this.settings;
+        const weakened = [];
+        if (current.inactivityMinutes > 0 &&
+            (settings.inactivityMinutes === 0 || settings.inactivityMinutes > current.inactivityMinutes)) {
+            weakened.push('auto-lock');
+        }
+        if (settings.maxFailures > current.maxFailures) {
+            weakened.push('failed matches before lockout');
+        }
+        if (settings.lockoutSeconds < current.lockoutSeconds || settings.maxLockoutMinutes < current.maxLockoutMinutes) {
+            weakened.push('lockout length');
+        }
+        if (current.requireChallenge && !settings.requireChallenge) {
+            weakened.push('challenge phrases');
+        }
+        if (current.requireTwoFactor && !settings.requireTwoFactor) {
+            weakened.push('voice AND PIN');
+        }
+        return weakened;
+    }
+
+    render() {
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            input.value = this.settings[field];
+        });
+        this.requireChallenge.checked = this.settings.requireChallenge;
+        this.requireTwoFactor.checked = this.settings.requireTwoFactor;
+    }
+
+    /**
+     * Push the lockout thresholds and auth modes to the authenticator, restart the inactivity timer
+     */
+    apply() {
+        this.voiceAuth.setLockoutPolicy({
+            maxFailures: this.settings.maxFailures,
+            baseDelay: this.settings.lockoutSeconds * 1000,
+            maxDelay: this.settings.maxLockoutMinutes * 60000
+        });
+        this.voiceAuth.setChallengeMode(this.settings.requireChallenge);
+        this.voiceAuth.setTwoFactor(this.settings.requireTwoFactor);
+        this.resetTimer();
+    }
+
+    resetTimer() {
+        clearTimeout(this.inactivityTimer);
+        if (this.voiceAuth.getLockedState() || this.settings.inactivityMinutes <= 0) {
+            return;
+        }
+
+        const minutes = this.settings.inactivityMinutes;
+        this.inactivityTimer = setTimeout(() => {
+            this.lock(`Locked after ${minutes} min of inactivity`);
+        }, minutes * 60000);
+    }
+
+    lock(reason) {
+        clearTimeout(this.inactivityTimer);
+        this.voiceAuth.lockSystem(reason);
+    }
+
+    /**
+     * Only unlocked operators may change the thresholds
+     */
+    setEnabled(enabled) {
+        this.saveSecurityBtn.disabled = !enabled;
+    }
+
+    showStatus(message, color) {
+        this.securityStatus.textContent = message;
+        this.securityStatus.style.color = color;
+    }
+}
+
+window.AutoLock = AutoLock;
\ No newline at end of file
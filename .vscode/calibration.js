@@ -0,0 +1,145 @@
+/**
+ * Joint Calibration Module
+ * Per-joint soft limits, offsets and inversion applied to every outgoing command
+ */
+
+class JointCalibration {
+    constructor(settings = {}) {
+        this.storageKey = 'roboticArmCalibration';
+        this.settings = JointCalibration.withDefaults(settings);
+    }
+
+    /**
+     * Limits are in the angles the UI uses; offset and invert map them to servo angles
+     */
+    static get DEFAULTS() {
+        return {
+            base: { min: 0, max: 180, offset: 0, invert: false },
+            mid: { min: 0, max: 180, offset: 0, invert: false },
+            near: { min: 0, max: 180, offset: 0, invert: false },
+            claw: { min: 0, max: 20, offset: 0, invert: false }
+        };
+    }
+
+    static withDefaults(settings) {
+        const merged = {};
+        Object.entries(JointCalibration.DEFAULTS).forEach(([joint, defaults]) => {
+            merged[joint] = { ...defaults, ...(settings[joint] || {}) };
+        });
+        return merged;
+    }
+
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+
+    setSettings(settings) {
+        this.settings = JointCalibration.withDefaults(settings);
+    }
+
+    /**
+     * Check a command against the joint's limits without converting it
+     * Returns an error message, or null if the command is allowed
+     */
+    validate(command) {
+        const waypoint = ArmProtocol.parseWaypoint(command);
+        if (waypoint) {
+            const errors = Object.entries(waypoint.pose)
+                .map(([joint, value]) => this.checkAngle(joint, value))
+                .filter(Boolean);
+            return errors.length > 0 ? errors[0] : null;
+        }
+
+        const parsed = ArmProtocol.parseCommand(command);
+        if (!parsed) {
+            return null;
+        }
+        return this.checkAngle(parsed.joint, parsed.value);
+    }
+
+    checkAngle(joint, value) {
+        const { min, max } = this.settings[joint];
+        if (value < min || value > max) {
+            return `${joint} ${value}° is outside the calibrated range ${min}-${max}°`;
+        }
+        return null;
+    }
+
+    /**
+     * Convert a UI command like "B:90" (or a "W:..." waypoint) into the servo command to write
+     * Throws if an angle is outside the joint's limits or can't be sent; non-joint commands pass through
+     */
+    toWire(command) {
+        const error = this.validate(command);
+        if (error) {
+            throw new Error(error);
+        }
+
+        const waypoint = ArmProtocol.parseWaypoint(command);
+        if (waypoint) {
+            const pose = {};
+            Object.entries(waypoint.pose).forEach(([joint, value]) => {
+                pose[joint] = this.servoAngle(joint, value);
+            });
+            return ArmProtocol.formatWaypoint(pose, waypoint.duration);
+        }
+
+        const parsed = ArmProtocol.parseCommand(command);
+        if (!parsed) {
+            return command;
+        }
+
+        const angle = this.servoAngle(parsed.joint, parsed.value);
+        // The firmware reads C:1 as "close the claw" (C:0 is the open angle anyway)
+        if (parsed.joint === 'claw' && angle === 1) {
+            throw new Error(`claw ${parsed.value}° would be sent as C:1, which the firmware reads as "close the claw" - choose another angle or change the claw offset`);
+        }
+        return `${ArmProtocol.JOINT_CODES[parsed.joint]}:${angle}`;
+    }
+
+    /**
+     * Apply a joint's inversion and offset to a UI angle
+     * Throws if the result is outside the joint's full range (0-180°, or open to closed for the claw)
+     */
+    servoAngle(joint, value) {
+        const { offset, invert } = this.settings[joint];
+        const range = JointCalibration.DEFAULTS[joint];
+        const angle = Math.round((invert ? range.min + range.max - value : value) + offset);
+        if (angle < range.min || angle > range.max) {
+            throw new Error(`${joint} ${value}° would be servo angle ${angle}° with offset ${offset}°${invert ? ' (inverted)' : ''}, outside ${range.min}-${range.max}° - check the calibration`);
+        }
+        return angle;
+    }
+
+    /**
+     * Load the calibration saved for an arm (falls back to defaults)
+     */
+    load(armId) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+            this.setSettings(saved[armId] || {});
+        } catch (error) {
+            console.error('Error loading calibration:', error);
+            this.setSettings({});
+        }
+    }
+
+    save(armId) {
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error reading saved calibration:', error);
+        }
+
+        saved[armId] = this.settings;
+        localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    }
+}
+
+// Also used by the command-line tool (node/arm.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JointCalibration;
+} else {
+    window.JointCalibration = JointCalibration;
+}
\ No newline at end of file
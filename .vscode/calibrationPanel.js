@@ -0,0 +1,127 @@
+/**
+ * Calibration Panel
+ * Edits per-joint limits, offset and inversion for the connected arm
+ */
+
+class CalibrationPanel {
+    constructor(calibration) {
+        this.calibration = calibration;
+        this.armId = 'default';
+        this.inputs = {};
+
+        this.initElements();
+        this.attachEventListeners();
+        this.loadForArm(this.armId);
+    }
+
+    initElements() {
+        this.calibrationTable = document.getElementById('calibrationTable');
+        this.calibrationArm = document.getElementById('calibrationArm');
+        this.saveCalibrationBtn = document.getElementById('saveCalibration');
+        this.resetCalibrationBtn = document.getElementById('resetCalibration');
+        this.calibrationStatus = document.getElementById('calibrationStatus');
+    }
+
+    attachEventListeners() {
+        this.saveCalibrationBtn.addEventListener('click', () => this.save());
+        this.resetCalibrationBtn.addEventListener('click', () => this.resetToDefaults());
+    }
+
+    /**
+     * Load and show the calibration stored for an arm
+     */
+    loadForArm(armId) {
+        this.armId = armId;
+        this.calibration.load(armId);
+        this.calibrationArm.textContent = armId;
+        this.render();
+    }
+
+    render() {
+        const settings = this.calibration.getSettings();
+        this.calibrationTable.innerHTML = '';
+        this.inputs = {};
+
+        Object.entries(settings).forEach(([joint, values]) => {
+            const row = document.createElement('tr');
+            const label = document.createElement('td');
+            label.textContent = joint;
+            row.appendChild(label);
+
+            this.inputs[joint] = {};
+            ['min', 'max', 'offset'].forEach(field => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.value = values[field];
+                this.inputs[joint][field] = input;
+
+                const cell = document.createElement('td');
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+
+            const invert = document.createElement('input');
+            invert.type = 'checkbox';
+            invert.checked = values.invert;
+            this.inputs[joint].invert = invert;
+
+            const cell = document.createElement('td');
+            cell.appendChild(invert);
+            row.appendChild(cell);
+
+            this.calibrationTable.appendChild(row);
+        });
+    }
+
+    save() {
+        const settings = {};
+
+        for (const [joint, inputs] of Object.entries(this.inputs)) {
+            const min = parseInt(inputs.min.value, 10);
+            const max = parseInt(inputs.max.value, 10);
+            const offset = parseInt(inputs.offset.value, 10);
+
+            const range = JointCalibration.DEFAULTS[joint];
+            if (![min, max, offset].every(Number.isFinite) || min < range.min || max > range.max || min >= max) {
+                this.showStatus(`❌ ${joint}: limits must satisfy ${range.min} ≤ min < max ≤ ${range.max}`, '#dc3545');
+                return;
+            }
+
+            settings[joint] = { min, max, offset, invert: inputs.invert.checked };
+        }
+
+        // The limits must still be servo angles once offset and inversion are applied
+        const candidate = new JointCalibration(settings);
+        try {
+            Object.entries(settings).forEach(([joint, { min, max }]) => {
+                candidate.servoAngle(joint, min);
+                candidate.servoAngle(joint, max);
+            });
+        } catch (error) {
+            this.showStatus(`❌ ${error.message}`, '#dc3545');
+            return;
+        }
+
+        this.calibration.setSettings(settings);
+        this.calibration.save(this.armId);
+        this.showStatus(`✅ Calibration saved for ${this.armId}`, '#28a745');
+    }
+
+    resetToDefaults() {
+        this.calibration.setSettings({});
+        this.render();
+        this.showStatus('Defaults restored - click Save to keep them', '#667eea');
+    }
+
+    setEnabled(enabled) {
+        this.saveCalibrationBtn.disabled = !enabled;
+        this.resetCalibrationBtn.disabled = !enabled;
+    }
+
+    showStatus(message, color) {
+        this.calibrationStatus.textContent = message;
+        this.calibrationStatus.style.color = color;
+    }
+}
+
+window.CalibrationPanel = CalibrationPanel;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Credentials Module
+ * Salted PBKDF2 hashes (Web Crypto) for operator PINs and the admin passphrase
+ */
+
+class Credentials {
+    constructor() {
+        this.adminKey = 'roboticArmAdmin';
+        this.iterations = 200000;
+    }
+
+    /**
+     * Hash a PIN or passphrase with a fresh random salt
+     * Returns { salt, hash, iterations } (base64 strings) safe to store
+     */
+    async hash(secret) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const hash = await this.derive(secret, salt, this.iterations);
+        return { salt: this.toBase64(salt), hash: this.toBase64(hash), iterations: this.iterations };
+    }
+
+    /**
+     * Check a secret against a stored { salt, hash, iterations } record
+     */
+    async verify(secret, record) {
+        if (!record || !secret) {
+            return false;
+        }
+
+        const hash = await this.derive(secret, this.fromBase64(record.salt), record.iterations);
+        const expected = this.fromBase64(record.hash);
+
+        // Compare every byte so timing doesn't reveal how much matched
+        let difference = hash.length ^ expected.length;
+        for (let i = 0; i < Math.min(hash.length, expected.length); i++) {
+            difference |= hash[i] ^ expected[i];
+        }
+        return difference === 0;
+    }
+
+    async derive(secret, salt, iterations) {
+        const key = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256
+        );
+        return new Uint8Array(bits);
+    }
+
+    hasAdmin() {
+        return localStorage.getItem(this.adminKey) !== null;
+    }
+
+    async setAdmin(passphrase) {
+        localStorage.setItem(this.adminKey, JSON.stringify(await this.hash(passphrase)));
+    }
+
+    async verifyAdmin(passphrase) {
+        try {
+            return await this.verify(passphrase, JSON.parse(localStorage.getItem(this.adminKey)));
+        } catch (error) {
+            console.error('Error checking admin passphrase:', error);
+            return false;
+        }
+    }
+
+    toBase64(bytes) {
+        return btoa(String.fromCharCode(...bytes));
+    }
+
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+window.Credentials = Credentials;
\ No newline at end of file
@@ -0,0 +1,222 @@
+/**
+ * Inverse Kinematics Panel
+ * Moves the claw to an X/Y/Z target and shows the current claw position
+ */
+
+class IKPanel {
+    constructor(controller, kinematics) {
+        this.controller = controller;
+        this.kinematics = kinematics;
+        this.storageKey = 'roboticArmKinematics';
+        this.isDragging = false;
+        this.currentTip = null;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.loadConfig();
+    }
+
+    initElements() {
+        this.baseHeightInput = document.getElementById('linkBaseHeight');
+        this.upperArmInput = document.getElementById('linkUpperArm');
+        this.forearmInput = document.getElementById('linkForearm');
+        this.saveLinksBtn = document.getElementById('saveLinks');
+        this.targetXInput = document.getElementById('targetX');
+        this.targetYInput = document.getElementById('targetY');
+        this.targetZInput = document.getElementById('targetZ');
+        this.moveToTargetBtn = document.getElementById('moveToTarget');
+        this.targetPad = document.getElementById('targetPad');
+        this.ikStatus = document.getElementById('ikStatus');
+        this.fkPosition = document.getElementById('fkPosition');
+    }
+
+    attachEventListeners() {
+        this.saveLinksBtn.addEventListener('click', () => this.saveConfig());
+        this.moveToTargetBtn.addEventListener('click', () => this.moveToTarget());
+
+        [this.targetXInput, this.targetYInput, this.targetZInput].forEach(input => {
+            input.addEventListener('input', () => this.previewTarget());
+        });
+
+        // Drag on the top-view pad to pick X/Y
+        this.targetPad.addEventListener('pointerdown', (e) => {
+            this.isDragging = true;
+            this.targetPad.setPointerCapture(e.pointerId);
+            this.setTargetFromPad(e);
+        });
+        this.targetPad.addEventListener('pointermove', (e) => {
+            if (this.isDragging) {
+                this.setTargetFromPad(e);
+            }
+        });
+        this.targetPad.addEventListener('pointerup', () => {
+            this.isDragging = false;
+        });
+    }
+
+    /**
+     * Load link lengths saved in localStorage
+     */
+    loadConfig() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.kinematics.setConfig(saved);
+            }
+        } catch (error) {
+            console.error('Error loading kinematics config:', error);
+        }
+
+        const config = this.kinematics.getConfig();
+        this.baseHeightInput.value = config.baseHeight;
+        this.upperArmInput.value = config.upperArm;
+        this.forearmInput.value = config.forearm;
+    }
+
+    saveConfig() {
+        const config = {
+            baseHeight: parseFloat(this.baseHeightInput.value),
+            upperArm: parseFloat(this.upperArmInput.value),
+            forearm: parseFloat(this.forearmInput.value)
+        };
+
+        if (!Object.values(config).every(length => Number.isFinite(length) && length > 0)) {
+            alert('Link lengths must be positive numbers (mm)');
+            return;
+        }
+
+        this.kinematics.setConfig(config);
+        localStorage.setItem(this.storageKey, JSON.stringify(config));
+        this.controller.onPoseChanged();
+        this.showStatus('Link lengths saved', '#28a745');
+    }
+
+    getTarget() {
+        return {
+            x: parseFloat(this.targetXInput.value),
+            y: parseFloat(this.targetYInput.value),
+            z: parseFloat(this.targetZInput.value)
+        };
+    }
+
+    /**
+     * Solve the target and show the resulting angles without moving
+     */
+    previewTarget() {
+        this.drawPad();
+
+        const target = this.getTarget();
+        if (!Object.values(target).every(Number.isFinite)) {
+            return null;
+        }
+
+        try {
+            const angles = this.kinematics.inverse(target);
+            this.showStatus(`Base ${angles.base}°, Mid ${angles.mid}°, Near ${angles.near}°`, '#667eea');
+            return angles;
+        } catch (error) {
+            this.showStatus(`❌ Unreachable: ${error.message}`, '#dc3545');
+            return null;
+        }
+    }
+
+    /**
+     * Send the solved angles as normal B/M/N commands
+     */
+    async moveToTarget() {
+        const angles = this.previewTarget();
+        if (!angles) {
+            return;
+        }
+
+        try {
+            await this.controller.moveToPose(angles);
+            this.showStatus(`✅ Reached target (Base ${angles.base}°, Mid ${angles.mid}°, Near ${angles.near}°)`, '#28a745');
+        } catch (error) {
+            this.showStatus(`⚠️ Move not confirmed: ${error.message}`, '#dc3545');
+        }
+    }
+
+    /**
+     * Display the claw position for the current slider angles
+     */
+    showForward(pose) {
+        this.currentTip = this.kinematics.forward(pose);
+        const { x, y, z } = this.currentTip;
+        this.fkPosition.textContent = `X ${Math.round(x)}  Y ${Math.round(y)}  Z ${Math.round(z)} mm`;
+        this.drawPad();
+    }
+
+    /**
+     * Pad is a top view: origin at bottom centre, +X up, +Y left
+     */
+    padScale() {
+        const config = this.kinematics.getConfig();
+        return (this.targetPad.height - 10) / (config.upperArm + config.forearm);
+    }
+
+    setTargetFromPad(event) {
+        const rect = this.targetPad.getBoundingClientRect();
+        const px = (event.clientX - rect.left) * this.targetPad.width / rect.width;
+        const py = (event.clientY - rect.top) * this.targetPad.height / rect.height;
+        const scale = this.padScale();
+
+        this.targetXInput.value = Math.round((this.targetPad.height - py) / scale);
+        this.targetYInput.value = Math.round((this.targetPad.width / 2 - px) / scale);
+        if (this.targetZInput.value === '') {
+            this.targetZInput.value = Math.round(this.kinematics.getConfig().baseHeight);
+        }
+        this.previewTarget();
+    }
+
+    drawPad() {
+        const ctx = this.targetPad.getContext('2d');
+        const { width, height } = this.targetPad;
+        const scale = this.padScale();
+        const config = this.kinematics.getConfig();
+        const toPad = (x, y) => [width / 2 - y * scale, height - x * scale];
+
+        ctx.clearRect(0, 0, width, height);
+
+        // Maximum reach
+        ctx.strokeStyle = '#ddd';
+        ctx.beginPath();
+        ctx.arc(width / 2, height, (config.upperArm + config.forearm) * scale, Math.PI, 2 * Math.PI);
+        ctx.stroke();
+
+        // Current claw position
+        if (this.currentTip) {
+            const [cx, cy] = toPad(this.currentTip.x, this.currentTip.y);
+            ctx.strokeStyle = '#667eea';
+            ctx.beginPath();
+            ctx.moveTo(width / 2, height);
+            ctx.lineTo(cx, cy);
+            ctx.stroke();
+            ctx.fillStyle = '#667eea';
+            ctx.beginPath();
+            ctx.arc(cx, cy, 5, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        // Target
+        const target = this.getTarget();
+        if (Number.isFinite(target.x) && Number.isFinite(target.y)) {
+            const [tx, ty] = toPad(target.x, target.y);
+            ctx.strokeStyle = '#dc3545';
+            ctx.beginPath();
+            ctx.arc(tx, ty, 6, 0, 2 * Math.PI);
+            ctx.stroke();
+        }
+    }
+
+    setEnabled(enabled) {
+        this.moveToTargetBtn.disabled = !enabled;
+    }
+
+    showStatus(message, color) {
+        this.ikStatus.textContent = message;
+        this.ikStatus.style.color = color;
+    }
+}
+
+window.IKPanel = IKPanel;
\ No newline at end of file
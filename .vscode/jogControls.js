@@ -0,0 +1,306 @@
+/**
+ * Jog Controls Module
+ * Keyboard shortcuts and Gamepad API mapping for jogging each joint
+ */
+
+class JogController {
+    constructor(controller) {
+        this.controller = controller;
+        this.storageKey = 'roboticArmJogMapping';
+        this.mapping = JogController.defaultMapping();
+        this.motionEnabled = false;
+        this.stopEnabled = false;
+        this.capturingAction = null;
+        this.gamepadFrame = null;
+        this.lastGamepadTime = null;
+        this.jogRemainder = {};      // Fractional degrees accumulated from sticks
+        this.stopButtonWasPressed = false;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.loadMapping();
+        this.renderMapping();
+    }
+
+    /**
+     * Keys are KeyboardEvent.key values (letters lower-cased)
+     * Gamepad indices follow the standard gamepad layout
+     */
+    static defaultMapping() {
+        return {
+            keys: {
+                'base-': 'a', 'base+': 'd',
+                'mid-': 's', 'mid+': 'w',
+                'near-': 'k', 'near+': 'i',
+                'claw-': 'q', 'claw+': 'e',
+                stop: 'Escape'
+            },
+            steps: { base: 5, mid: 5, near: 5, claw: 5 },
+            gamepad: {
+                baseAxis: 0,
+                midAxis: 1,
+                nearAxis: 3,
+                invertMid: true,
+                invertNear: true,
+                clawOpenButton: 6,   // Left trigger
+                clawCloseButton: 7,  // Right trigger
+                stopButton: 1,       // B / Circle
+                speed: 90,           // degrees per second at full deflection
+                deadzone: 0.2
+            }
+        };
+    }
+
+    static get ACTION_LABELS() {
+        return {
+            'base-': 'Base −', 'base+': 'Base +',
+            'mid-': 'Mid −', 'mid+': 'Mid +',
+            'near-': 'Near −', 'near+': 'Near +',
+            'claw-': 'Claw open', 'claw+': 'Claw close',
+            stop: 'Emergency stop'
+        };
+    }
+
+    initElements() {
+        this.keyBindingTable = document.getElementById('keyBindingTable');
+        this.jogStepInputs = {
+            base: document.getElementById('jogStepBase'),
+            mid: document.getElementById('jogStepMid'),
+            near: document.getElementById('jogStepNear'),
+            claw: document.getElementById('jogStepClaw')
+        };
+        this.gamepadInputs = {
+            baseAxis: document.getElementById('padBaseAxis'),
+            midAxis: document.getElementById('padMidAxis'),
+            nearAxis: document.getElementById('padNearAxis'),
+            clawOpenButton: document.getElementById('padClawOpen'),
+            clawCloseButton: document.getElementById('padClawClose'),
+            stopButton: document.getElementById('padStop'),
+            speed: document.getElementById('padSpeed')
+        };
+        this.saveMappingBtn = document.getElementById('saveJogMapping');
+        this.resetMappingBtn = document.getElementById('resetJogMapping');
+        this.gamepadStatus = document.getElementById('gamepadStatus');
+        this.jogStatus = document.getElementById('jogStatus');
+    }
+
+    attachEventListeners() {
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('gamepadconnected', (e) => this.onGamepadConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', () => this.onGamepadDisconnected());
+        this.saveMappingBtn.addEventListener('click', () => this.saveMapping());
+        this.resetMappingBtn.addEventListener('click', () => {
+            this.mapping = JogController.defaultMapping();
+            this.renderMapping();
+            this.showStatus('Defaults restored - click Save to keep them', '#667eea');
+        });
+    }
+
+    loadMapping() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                const defaults = JogController.defaultMapping();
+                this.mapping = {
+                    keys: { ...defaults.keys, ...saved.keys },
+                    steps: { ...defaults.steps, ...saved.steps },
+                    gamepad: { ...defaults.gamepad, ...saved.gamepad }
+                };
+            }
+        } catch (error) {
+            console.error('Error loading jog mapping:', error);
+        }
+    }
+
+    saveMapping() {
+        for (const [joint, input] of Object.entries(this.jogStepInputs)) {
+            const step = parseInt(input.value, 10);
+            if (!Number.isFinite(step) || step < 1 || step > 90) {
+                this.showStatus(`❌ ${joint} step must be between 1 and 90 degrees`, '#dc3545');
+                return;
+            }
+            this.mapping.steps[joint] = step;
+        }
+
+        for (const [field, input] of Object.entries(this.gamepadInputs)) {
+            const value = parseInt(input.value, 10);
+            if (!Number.isFinite(value) || value < 0) {
+                this.showStatus(`❌ Invalid gamepad setting: ${field}`, '#dc3545');
+                return;
+            }
+            this.mapping.gamepad[field] = value;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.mapping));
+        this.showStatus('✅ Jog mapping saved', '#28a745');
+    }
+
+    renderMapping() {
+        this.keyBindingTable.innerHTML = '';
+        Object.entries(JogController.ACTION_LABELS).forEach(([action, label]) => {
+            const row = document.createElement('tr');
+            const name = document.createElement('td');
+            name.textContent = label;
+
+            const keyButton = document.createElement('button');
+            keyButton.className = 'key-binding';
+            keyButton.textContent = this.mapping.keys[action] || '—';
+            keyButton.addEventListener('click', () => {
+                this.capturingAction = action;
+                keyButton.textContent = 'Press a key…';
+            });
+
+            const cell = document.createElement('td');
+            cell.appendChild(keyButton);
+            row.appendChild(name);
+            row.appendChild(cell);
+            this.keyBindingTable.appendChild(row);
+        });
+
+        Object.entries(this.jogStepInputs).forEach(([joint, input]) => {
+            input.value = this.mapping.steps[joint];
+        });
+        Object.entries(this.gamepadInputs).forEach(([field, input]) => {
+            input.value = this.mapping.gamepad[field];
+        });
+    }
+
+    normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    handleKeyDown(event) {
+        const key = this.normalizeKey(event.key);
+
+        // Remapping: the next key press becomes the binding
+        if (this.capturingAction) {
+            event.preventDefault();
+            this.mapping.keys[this.capturingAction] = key;
+            this.capturingAction = null;
+            this.renderMapping();
+            this.showStatus('Key binding changed - click Save to keep it', '#667eea');
+            return;
+        }
+
+        // Don't jog while the user is typing in a field
+        const tag = document.activeElement ? document.activeElement.tagName : '';
+        if (['INPUT', 'TEXTAREA', 'SELECT'].includes(tag) && document.activeElement.type !== 'range') {
+            return;
+        }
+
+        const action = Object.keys(this.mapping.keys).find(name => this.mapping.keys[name] === key);
+        if (!action) {
+            return;
+        }
+
+        if (action === 'stop') {
+            if (this.stopEnabled) {
+                event.preventDefault();
+                this.controller.activateEmergencyStop('keyboard');
+            }
+            return;
+        }
+
+        if (!this.motionEnabled) {
+            return;
+        }
+
+        event.preventDefault();
+        const joint = action.slice(0, -1);
+        const sign = action.endsWith('+') ? 1 : -1;
+        this.controller.jogJoint(joint, sign * this.mapping.steps[joint]);
+    }
+
+    onGamepadConnected(gamepad) {
+        this.gamepadStatus.textContent = `🎮 Gamepad connected: ${gamepad.id}`;
+        if (!this.gamepadFrame) {
+            this.lastGamepadTime = null;
+            this.gamepadFrame = requestAnimationFrame((time) => this.pollGamepad(time));
+        }
+    }
+
+    onGamepadDisconnected() {
+        const connected = Array.from(navigator.getGamepads()).some(Boolean);
+        if (!connected) {
+            cancelAnimationFrame(this.gamepadFrame);
+            this.gamepadFrame = null;
+            this.gamepadStatus.textContent = 'No gamepad connected';
+        }
+    }
+
+    /**
+     * Read the first connected gamepad once per animation frame
+     */
+    pollGamepad(time) {
+        const elapsed = this.lastGamepadTime === null ? 0 : (time - this.lastGamepadTime) / 1000;
+        this.lastGamepadTime = time;
+
+        const gamepad = Array.from(navigator.getGamepads()).find(Boolean);
+        if (gamepad) {
+            this.applyGamepad(gamepad, elapsed);
+        }
+
+        this.gamepadFrame = requestAnimationFrame((t) => this.pollGamepad(t));
+    }
+
+    applyGamepad(gamepad, elapsed) {
+        const config = this.mapping.gamepad;
+        const pressed = (index) => Boolean(gamepad.buttons[index] && gamepad.buttons[index].value > 0.5);
+
+        // Emergency stop fires once per press
+        const stopPressed = pressed(config.stopButton);
+        if (stopPressed && !this.stopButtonWasPressed && this.stopEnabled) {
+            this.controller.activateEmergencyStop('gamepad');
+        }
+        this.stopButtonWasPressed = stopPressed;
+
+        if (!this.motionEnabled) {
+            this.jogRemainder = {};
+            return;
+        }
+
+        const rates = {
+            base: this.axisValue(gamepad, config.baseAxis, false),
+            mid: this.axisValue(gamepad, config.midAxis, config.invertMid),
+            near: this.axisValue(gamepad, config.nearAxis, config.invertNear),
+            claw: (pressed(config.clawCloseButton) ? 1 : 0) - (pressed(config.clawOpenButton) ? 1 : 0)
+        };
+
+        Object.entries(rates).forEach(([joint, rate]) => {
+            if (rate === 0) {
+                this.jogRemainder[joint] = 0;
+                return;
+            }
+
+            const total = (this.jogRemainder[joint] || 0) + rate * config.speed * elapsed;
+            const whole = Math.trunc(total);
+            this.jogRemainder[joint] = total - whole;
+            if (whole !== 0) {
+                this.controller.jogJoint(joint, whole);
+            }
+        });
+    }
+
+    axisValue(gamepad, index, invert) {
+        const value = gamepad.axes[index] || 0;
+        if (Math.abs(value) < this.mapping.gamepad.deadzone) {
+            return 0;
+        }
+        return invert ? -value : value;
+    }
+
+    /**
+     * Jogging follows motion permission; the stop binding only needs controls enabled
+     */
+    setEnabled(motionEnabled, stopEnabled = motionEnabled) {
+        this.motionEnabled = motionEnabled;
+        this.stopEnabled = stopEnabled;
+    }
+
+    showStatus(message, color) {
+        this.jogStatus.textContent = message;
+        this.jogStatus.style.color = color;
+    }
+}
+
+window.JogController = JogController;
\ No newline at end of file
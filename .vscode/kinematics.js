@@ -0,0 +1,138 @@
+/**
+ * Kinematics Module
+ * Forward and inverse kinematics for the base/mid/near arm
+ *
+ * Coordinates are in millimetres: X points forward, Y to the left, Z up,
+ * with the origin on the table under the base axis.
+ */
+
+class ArmKinematics {
+    constructor(config = {}) {
+        this.config = { ...ArmKinematics.DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Link lengths and how servo angles map to link angles
+     * angle = direction * (servo - zero), in degrees
+     *   base: rotation about Z (0 = facing +X)
+     *   mid:  upper-arm elevation above horizontal
+     *   near: forearm angle relative to the upper arm (0 = straight)
+     */
+    static get DEFAULT_CONFIG() {
+        return {
+            baseHeight: 70,  // table to shoulder (mid servo) axis
+            upperArm: 80,    // mid axis to near axis
+            forearm: 120,    // near axis to claw tip
+            baseZero: 90,
+            baseDirection: 1,
+            midZero: 0,
+            midDirection: 1,
+            nearZero: 180,
+            nearDirection: 1,
+            minAngle: 0,
+            maxAngle: 180
+        };
+    }
+
+    setConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+
+    getConfig() {
+        return { ...this.config };
+    }
+
+    /**
+     * Claw tip position for the given servo angles
+     * Returns { x, y, z, reach, elbow: { x, y, z, reach } }
+     * reach is the signed horizontal distance from the base axis along the arm
+     */
+    forward({ base, mid, near }) {
+        const c = this.config;
+        const yaw = this.toRadians(c.baseDirection * (base - c.baseZero));
+        const shoulder = this.toRadians(c.midDirection * (mid - c.midZero));
+        const elbow = this.toRadians(c.nearDirection * (near - c.nearZero));
+
+        const elbowR = c.upperArm * Math.cos(shoulder);
+        const elbowZ = c.baseHeight + c.upperArm * Math.sin(shoulder);
+        const tipR = elbowR + c.forearm * Math.cos(shoulder + elbow);
+        const tipZ = elbowZ + c.forearm * Math.sin(shoulder + elbow);
+
+        return {
+            x: tipR * Math.cos(yaw),
+            y: tipR * Math.sin(yaw),
+            z: tipZ,
+            reach: tipR,
+            elbow: {
+                x: elbowR * Math.cos(yaw),
+                y: elbowR * Math.sin(yaw),
+                z: elbowZ,
+                reach: elbowR
+            }
+        };
+    }
+
+    /**
+     * Servo angles that put the claw tip at (x, y, z)
+     * Returns { base, mid, near } rounded to whole degrees
+     * Throws an Error describing why the point can't be reached
+     */
+    inverse({ x, y, z }) {
+        const c = this.config;
+        const r = Math.hypot(x, y);
+        const h = z - c.baseHeight;
+        const distance = Math.hypot(r, h);
+
+        if (distance > c.upperArm + c.forearm) {
+            throw new Error(`Target is ${Math.round(distance)} mm from the shoulder; max reach is ${c.upperArm + c.forearm} mm`);
+        }
+        if (distance < Math.abs(c.upperArm - c.forearm)) {
+            throw new Error('Target is too close to the shoulder');
+        }
+
+        const base = c.baseZero + this.toDegrees(Math.atan2(y, x)) / c.baseDirection;
+
+        // Law of cosines for the elbow, then shoulder angle for that elbow
+        const cosElbow = (r * r + h * h - c.upperArm * c.upperArm - c.forearm * c.forearm) /
+            (2 * c.upperArm * c.forearm);
+        const elbowOptions = [-Math.acos(Math.min(1, Math.max(-1, cosElbow)))];
+        elbowOptions.push(-elbowOptions[0]);
+
+        let lastError = null;
+        for (const elbow of elbowOptions) {
+            const shoulder = Math.atan2(h, r) -
+                Math.atan2(c.forearm * Math.sin(elbow), c.upperArm + c.forearm * Math.cos(elbow));
+
+            const angles = {
+                base: Math.round(base),
+                mid: Math.round(c.midZero + this.toDegrees(shoulder) / c.midDirection),
+                near: Math.round(c.nearZero + this.toDegrees(elbow) / c.nearDirection)
+            };
+
+            const outOfRange = Object.keys(angles).find(joint =>
+                angles[joint] < c.minAngle || angles[joint] > c.maxAngle
+            );
+            if (!outOfRange) {
+                return angles;
+            }
+            lastError = new Error(`Target needs ${outOfRange} at ${angles[outOfRange]}°, outside ${c.minAngle}-${c.maxAngle}°`);
+        }
+
+        throw lastError;
+    }
+
+    toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    toDegrees(radians) {
+        return radians * 180 / Math.PI;
+    }
+}
+
+// Also loaded by the Node tests (node/test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ArmKinematics;
+} else {
+    window.ArmKinematics = ArmKinematics;
+}
\ No newline at end of file
@@ -0,0 +1,84 @@
+/**
+ * Local Speech Module
+ * Speech recognition that stays on this machine: the browser's on-device recognizer
+ * (processLocally), downloading its language pack on first use. Cloud recognition sends
+ * the audio to the browser vendor, so it is only used where the caller allows it
+ */
+
+class LocalSpeech {
+    static get Recognition() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition;
+    }
+
+    static isSupported() {
+        return Boolean(LocalSpeech.Recognition);
+    }
+
+    /**
+     * True if the browser has an on-device recognizer (its language pack may still need a download)
+     */
+    static isOnDeviceSupported() {
+        return LocalSpeech.isSupported() && 'processLocally' in LocalSpeech.Recognition.prototype;
+    }
+
+    /**
+     * New recognizer for lang that runs on-device, or in the cloud if allowCloud and on-device
+     * isn't possible; throws with a reason to show otherwise
+     * onInstalling() is called before the language pack is downloaded
+     */
+    static async create({ lang = 'en-US', allowCloud = false, onInstalling = () => {} } = {}) {
+        if (!LocalSpeech.isSupported()) {
+            throw new Error('Speech recognition is not supported in this browser');
+        }
+
+        const recognition = new LocalSpeech.Recognition();
+        recognition.lang = lang;
+
+        if (await LocalSpeech.prepareOnDevice(lang, onInstalling)) {
+            recognition.processLocally = true;
+            return recognition;
+        }
+        if (allowCloud) {
+            return recognition;
+        }
+        throw new Error(`On-device speech recognition (${lang}) is not available in this browser`);
+    }
+
+    /**
+     * Make sure the on-device language pack is installed; false if it can't be
+     */
+    static async prepareOnDevice(lang, onInstalling) {
+        if (!LocalSpeech.isOnDeviceSupported()) {
+            return false;
+        }
+
+        const Recognition = LocalSpeech.Recognition;
+        if (typeof Recognition.available !== 'function') {
+            return true;
+        }
+
+        const options = { langs: [lang], processLocally: true };
+        try {
+            const availability = await Recognition.available(options);
+            if (availability === 'available') {
+                return true;
+            }
+            if (availability === 'downloadable' || availability === 'downloading') {
+                onInstalling();
+                return Boolean(await Recognition.install(options));
+            }
+        } catch (error) {
+            console.warn('On-device speech recognition check failed:', error);
+        }
+        return false;
+    }
+
+    /**
+     * True if a recognizer from create() runs on this machine
+     */
+    static isLocal(recognition) {
+        return recognition.processLocally === true;
+    }
+}
+
+window.LocalSpeech = LocalSpeech;
\ No newline at end of file
@@ -6,12 +6,34 @@
 class RoboticArmController {
     constructor() {
         // Initialize modules
+        // Audit log first so it records events from every other module
+        this.auditLog = new AuditLog(() => this.voiceAuth.getCurrentOperator());
         this.voiceAuth = new VoiceAuthenticator();
+        this.autoLock = new AutoLock(this.voiceAuth);
         this.serialComm = new SerialCommunicator();
+        this.calibration = new JointCalibration();
+        this.serialComm.setCalibration(this.calibration);
+        this.calibrationPanel = new CalibrationPanel(this.calibration);
+        this.voiceCommander = new VoiceCommander();
+        this.sequencer = new PoseSequencer(this);
+        this.scriptConsole = new ScriptConsole(this);
+        this.kinematics = new ArmKinematics();
+        this.planner = new TrajectoryPlanner();
+        this.motionPanel = new MotionPanel(this.planner);
+        this.motion = new ArmMotion(this.serialComm, this.planner);
+        this.ikPanel = new IKPanel(this, this.kinematics);
+        this.armView = new ArmView(this.kinematics);
+        this.jogController = new JogController(this);
+        this.auditLogPanel = new AuditLogPanel(this.auditLog);
+        this.voiceTestPanel = new VoiceTestPanel(this.voiceAuth);
+        this.defaultPose = ArmMotion.HOME_POSE;
 
         this.initElements();
         this.attachEventListeners();
         this.setupCustomEvents();
+        this.onPoseChanged();
+        // Shows the stop banner if an emergency stop was latched before a reload
+        this.updateControlsState();
     }
 
     initElements() {
@@ -27,10 +49,41 @@ class RoboticArmController {
         this.nearValue = document.getElementById('nearValue');
         this.clawValue = document.getElementById('clawValue');
 
+        // Positions confirmed by the Arduino
+        this.confirmedDisplays = {
+            base: document.getElementById('baseConfirmed'),
+            mid: document.getElementById('midConfirmed'),
+            near: document.getElementById('nearConfirmed'),
+            claw: document.getElementById('clawConfirmed')
+        };
+
+        this.sliders = {
+            base: this.baseSlider,
+            mid: this.midSlider,
+            near: this.nearSlider,
+            claw: this.clawSlider
+        };
+        this.valueDisplays = {
+            base: this.baseValue,
+            mid: this.midValue,
+            near: this.nearValue,
+            claw: this.clawValue
+        };
+
         // Buttons
         this.clawOpenBtn = document.getElementById('clawOpen');
         this.clawCloseBtn = document.getElementById('clawClose');
         this.emergencyStopBtn = document.getElementById('emergencyStop');
+
+        // Soft-limit warning banner
+        this.limitWarning = document.getElementById('limitWarning');
+
+        // Latched emergency stop banner
+        this.stopLatch = document.getElementById('stopLatch');
+        this.stopLatchInfo = document.getElementById('stopLatchInfo');
+        this.resetStopBtn = document.getElementById('resetStopBtn');
+        this.resetStopStatus = document.getElementById('resetStopStatus');
+        this.resetStopPin = document.getElementById('resetStopPin');
     }
 
     attachEventListeners() {
@@ -38,67 +91,140 @@ class RoboticArmController {
         this.baseSlider.addEventListener('input', (e) => {
             const value = e.target.value;
             this.baseValue.textContent = value;
-            this.serialComm.sendDebounced('base', `B:${value}`);
+            this.onPoseChanged();
+            this.sendJointChange('base', `B:${value}`);
         });
 
         // Mid Servo
         this.midSlider.addEventListener('input', (e) => {
             const value = e.target.value;
             this.midValue.textContent = value;
-            this.serialComm.sendDebounced('mid', `M:${value}`);
+            this.onPoseChanged();
+            this.sendJointChange('mid', `M:${value}`);
         });
 
         // Near Servo
         this.nearSlider.addEventListener('input', (e) => {
             const value = e.target.value;
             this.nearValue.textContent = value;
-            this.serialComm.sendDebounced('near', `N:${value}`);
+            this.onPoseChanged();
+            this.sendJointChange('near', `N:${value}`);
         });
 
         // Claw Servo
         this.clawSlider.addEventListener('input', (e) => {
             const value = e.target.value;
             this.clawValue.textContent = value;
-            this.serialComm.sendDebounced('claw', `C:${value}`);
+            this.sendJointChange('claw', `C:${value}`);
         });
 
         // Claw Open Button
         this.clawOpenBtn.addEventListener('click', () => {
             this.clawSlider.value = 0;
             this.clawValue.textContent = 0;
-            this.serialComm.sendImmediate('C:0');
+            this.sendAndConfirm('C:0');
         });
 
         // Claw Close Button
         this.clawCloseBtn.addEventListener('click', () => {
-            this.clawSlider.value = 20;
-            this.clawValue.textContent = 20;
-            this.serialComm.sendImmediate('C:1');
+            this.clawSlider.value = ArmProtocol.CLAW_CLOSED;
+            this.clawValue.textContent = ArmProtocol.CLAW_CLOSED;
+            this.sendAndConfirm(`C:${ArmProtocol.CLAW_CLOSED}`);
         });
 
         // Emergency Stop
         this.emergencyStopBtn.addEventListener('click', () => {
             this.handleEmergencyStop();
         });
+
+        // Reset a latched emergency stop (needs a fresh voice match)
+        this.resetStopBtn.addEventListener('click', () => {
+            this.resetEmergencyStop();
+        });
     }
 
     setupCustomEvents() {
         // Listen for voice unlock event
-        window.addEventListener('voiceUnlocked', () => {
-            this.onVoiceUnlocked();
+        window.addEventListener('voiceUnlocked', (e) => {
+            this.onVoiceUnlocked(e.detail);
+        });
+
+        // Listen for the system locking again (inactivity or "Lock now")
+        window.addEventListener('voiceLocked', (e) => {
+            this.onVoiceLocked(e.detail);
         });
 
         // Listen for Arduino connection event
         window.addEventListener('arduinoConnected', () => {
             this.onArduinoConnected();
         });
+
+        // Listen for the Arduino going away (Disconnect button or USB unplugged)
+        window.addEventListener('arduinoDisconnected', (e) => {
+            this.onArduinoDisconnected(e.detail);
+        });
+
+        // Listen for the stop latching (also when the Arduino reports it is already stopped)
+        window.addEventListener('stopLatched', (e) => {
+            if (e.detail && e.detail.reason) {
+                this.sequencer.abort();
+                this.scriptConsole.abort('emergency stop');
+                this.stopLatchInfo.textContent = e.detail.reason;
+            }
+            this.updateControlsState();
+        });
+
+        // Listen for the stop being cleared (here, or by another page sharing a relay)
+        window.addEventListener('stopCleared', () => {
+            this.updateControlsState();
+        });
+
+        // Listen for motion control moving between pages that share a relay
+        window.addEventListener('motionControlChanged', () => {
+            this.updateControlsState();
+        });
+
+        // Listen for commands blocked by the joint calibration limits
+        window.addEventListener('commandRejected', (e) => {
+            this.showLimitWarning(e.detail.reason);
+        });
+
+        // Listen for recognized spoken commands
+        window.addEventListener('voiceCommand', (e) => {
+            this.onVoiceCommand(e.detail);
+        });
+
+        // Animate the arm view when a joint command or waypoint goes out
+        window.addEventListener('commandSent', (e) => {
+            if (e.detail.joint) {
+                this.armView.startMove(e.detail.joint, e.detail.angle);
+            } else if (e.detail.pose) {
+                this.armView.startWaypoint(e.detail.pose, e.detail.duration);
+            }
+        });
+
+        // Listen for responses from the Arduino
+        window.addEventListener('arduinoResponse', (e) => {
+            this.onArduinoResponse(e.detail);
+        });
     }
 
     /**
      * Handle voice unlock event
      */
-    onVoiceUnlocked() {
-        console.log('Voice authentication successful');
+    onVoiceUnlocked(operator) {
+        console.log(`Voice authentication successful: ${operator.name} (${operator.role})`);
+        this.serialComm.setOperator(operator);
+        this.updateControlsState();
+    }
+
+    /**
+     * Handle lock event
+     */
+    onVoiceLocked({ reason }) {
+        console.log('System locked:', reason);
+        this.scriptConsole.abort('system locked');
+        this.serialComm.setOperator(null);
         this.updateControlsState();
     }
 
@@ -107,49 +233,362 @@ class RoboticArmController {
      */
     onArduinoConnected() {
         console.log('Arduino connection established');
+        this.calibrationPanel.loadForArm(this.serialComm.getArmId());
         this.updateControlsState();
     }
 
     /**
-     * Update control states based on auth and connection status
+     * Handle Arduino disconnect event
      */
-    updateControlsState() {
+    onArduinoDisconnected({ reason }) {
+        console.warn('Arduino disconnected:', reason);
+        this.sequencer.abort();
+        this.scriptConsole.abort('arm disconnected');
+        this.armView.halt();
+        this.updateControlsState();
+    }
+
+    /**
+     * Show a command that was blocked by the soft limits
+     */
+    showLimitWarning(reason) {
+        this.limitWarning.textContent = `⚠️ Command blocked: ${reason}`;
+        this.limitWarning.style.display = 'block';
+
+        clearTimeout(this.limitWarningTimer);
+        this.limitWarningTimer = setTimeout(() => {
+            this.limitWarning.style.display = 'none';
+        }, 4000);
+    }
+
+    /**
+     * Handle a parsed response line from the Arduino
+     */
+    onArduinoResponse(response) {
+        switch (response.type) {
+            case 'ready':
+                console.log('Arduino reports ready');
+                break;
+            case 'joint-ack':
+                if (response.angle !== undefined) {
+                    this.confirmedDisplays[response.joint].textContent = response.angle;
+                }
+                this.armView.confirmPosition(response.joint, response.angle);
+                break;
+            case 'waypoint-ack':
+                Object.entries(response.pose).forEach(([joint, angle]) => {
+                    if (angle !== undefined) {
+                        this.confirmedDisplays[joint].textContent = angle;
+                    }
+                    this.armView.confirmPosition(joint, angle);
+                });
+                break;
+            case 'stop-ack':
+                console.warn('Arduino confirmed emergency stop');
+                this.armView.halt();
+                break;
+            default:
+                console.log('Unrecognized Arduino output:', response.raw);
+        }
+    }
+
+    /**
+     * Handle a recognized spoken command
+     */
+    async onVoiceCommand({ phrase, action }) {
+        const { enableControls, enableMotion } = this.getControlPermissions();
+
+        if (action.type === 'stop') {
+            if (!enableControls) {
+                this.voiceCommander.showStatus('🔒 Controls are disabled', '#dc3545');
+                return;
+            }
+            this.voiceCommander.showStatus(`🛑 "${phrase}" → STOP`, '#dc3545');
+            await this.activateEmergencyStop('voice');
+            return;
+        }
+
+        if (!enableMotion) {
+            this.voiceCommander.showStatus('🔒 Motion controls are disabled', '#dc3545');
+            return;
+        }
+
+        if (action.type === 'home') {
+            this.voiceCommander.showStatus(`🏠 "${phrase}" → home position`, '#667eea');
+            const arrived = await this.resetToDefault();
+            this.voiceCommander.showStatus(arrived ? '✅ Home position confirmed' : '⚠️ Home position not confirmed',
+                arrived ? '#28a745' : '#dc3545');
+            return;
+        }
+
+        const angle = action.type === 'relative'
+            ? Number(this.sliders[action.joint].value) + action.delta
+            : action.angle;
+        const command = this.setJointValue(action.joint, angle);
+
+        this.voiceCommander.showStatus(`➡️ "${phrase}" → ${command}`, '#667eea');
+        const confirmed = await this.sendAndConfirm(command);
+        this.voiceCommander.showStatus(confirmed ? `✅ ${command} confirmed` : `⚠️ ${command} not confirmed`,
+            confirmed ? '#28a745' : '#dc3545');
+    }
+
+    /**
+     * Round an angle and clamp it to the joint slider's range
+     */
+    clampJointValue(joint, angle) {
+        const slider = this.sliders[joint];
+        return Math.min(Math.max(Math.round(angle), Number(slider.min)), Number(slider.max));
+    }
+
+    /**
+     * Move a joint's slider (clamped to its range) and return the matching command
+     */
+    setJointValue(joint, angle) {
+        const slider = this.sliders[joint];
+        const value = this.clampJointValue(joint, angle);
+
+        slider.value = value;
+        this.valueDisplays[joint].textContent = value;
+        this.onPoseChanged();
+        return `${ArmProtocol.JOINT_CODES[joint]}:${value}`;
+    }
+
+    /**
+     * Nudge a joint by delta degrees (keyboard/gamepad jogging)
+     */
+    jogJoint(joint, delta) {
+        const command = this.setJointValue(joint, Number(this.sliders[joint].value) + delta);
+        this.sendJointChange(joint, command);
+    }
+
+    /**
+     * Stream planned waypoints unless the profile is joint by joint or the firmware lacks W:
+     */
+    useWaypoints() {
+        return this.motion.useWaypoints();
+    }
+
+    /**
+     * Send a slider or jog change: as its own joint command, or - with a synchronized
+     * motion profile - as one planned move of the whole pose once the controls settle
+     */
+    sendJointChange(joint, command) {
+        if (!this.useWaypoints()) {
+            this.serialComm.sendDebounced(joint, command);
+            return;
+        }
+        this.serialComm.debounce('pose', () => this.moveToPose(this.getCurrentPose()));
+    }
+
+    /**
+     * Pose the arm was last told to take (the sketch starts at the default pose)
+     */
+    getCommandedPose() {
+        return this.motion.getCommandedPose();
+    }
+
+    /**
+     * Current slider positions as a { base, mid, near, claw } pose
+     */
+    getCurrentPose() {
+        const pose = {};
+        Object.keys(this.sliders).forEach(joint => {
+            pose[joint] = Number(this.sliders[joint].value);
+        });
+        return pose;
+    }
+
+    /**
+     * Refresh views that depend on the slider positions
+     */
+    onPoseChanged() {
+        const pose = this.getCurrentPose();
+        this.ikPanel.showForward(pose);
+        this.armView.setTarget(pose);
+    }
+
+    /**
+     * Move every joint in a pose (see ArmMotion.moveToPose), moving the sliders to the targets
+     */
+    async moveToPose(pose) {
+        await this.motion.moveToPose(pose, (joint, value) => this.setJointValue(joint, value));
+    }
+
+    /**
+     * Which controls the current operator may use
+     */
+    getControlPermissions() {
         const isUnlocked = !this.voiceAuth.getLockedState();
         const isConnected = this.serialComm.getConnectionState();
+        const isStopped = this.serialComm.isStopLatched();
+        const operator = this.voiceAuth.getCurrentOperator();
 
         const enableControls = isUnlocked && isConnected;
+        // Observers can watch the arm and stop it, but not move it; nobody moves it while stopped,
+        // and through a relay only the page holding motion control moves it
+        const enableMotion = enableControls && !isStopped && operator.role !== 'observer' &&
+            this.serialComm.hasMotionControl();
+
+        return { isUnlocked, isConnected, isStopped, operator, enableControls, enableMotion };
+    }
+
+    /**
+     * Update control states based on auth and connection status
+     */
+    updateControlsState() {
+        const { isUnlocked, isConnected, isStopped, operator, enableControls, enableMotion } = this.getControlPermissions();
 
         // Enable/disable all controls
-        this.baseSlider.disabled = !enableControls;
-        this.midSlider.disabled = !enableControls;
-        this.nearSlider.disabled = !enableControls;
-        this.clawSlider.disabled = !enableControls;
-        this.clawOpenBtn.disabled = !enableControls;
-        this.clawCloseBtn.disabled = !enableControls;
+        this.baseSlider.disabled = !enableMotion;
+        this.midSlider.disabled = !enableMotion;
+        this.nearSlider.disabled = !enableMotion;
+        this.clawSlider.disabled = !enableMotion;
+        this.clawOpenBtn.disabled = !enableMotion;
+        this.clawCloseBtn.disabled = !enableMotion;
         this.emergencyStopBtn.disabled = !enableControls;
+        this.voiceCommander.setEnabled(enableMotion);
+        this.sequencer.setEnabled(enableMotion);
+        // Dry runs don't need motion control, but observers can't run scripts at all, not even dry runs
+        this.scriptConsole.setEnabled(enableMotion, isUnlocked && operator.role !== 'observer');
+        this.ikPanel.setEnabled(enableMotion);
+        this.calibrationPanel.setEnabled(enableMotion);
+        this.jogController.setEnabled(enableMotion, enableControls);
+        this.autoLock.setEnabled(isUnlocked && operator.role !== 'observer');
+        this.voiceTestPanel.setEnabled(isUnlocked && operator.role !== 'observer');
+        this.motionPanel.setEnabled(isUnlocked && operator.role !== 'observer');
 
-        if (enableControls) {
-            console.log('All controls enabled');
+        this.stopLatch.style.display = isStopped ? 'block' : 'none';
+        this.resetStopBtn.disabled = !(isStopped && isConnected);
+
+        if (enableMotion) {
+            console.log('All controls enabled for', operator.name);
+        } else if (isStopped) {
+            console.log('Emergency stop latched - motion disabled until reset');
+        } else if (enableControls) {
+            console.log('Observer mode - motion controls disabled for', operator.name);
         } else {
             console.log('Controls disabled - Auth:', isUnlocked, 'Connected:', isConnected);
         }
     }
 
+    /**
+     * Send a command and wait for the Arduino to acknowledge it
+     * Returns true once acknowledged, false if it timed out or was cancelled
+     */
+    async sendAndConfirm(command) {
+        try {
+            await this.serialComm.sendImmediate(command);
+            return true;
+        } catch (error) {
+            console.error('Command failed:', error.message);
+            return false;
+        }
+    }
+
     /**
      * Handle emergency stop
      */
     async handleEmergencyStop() {
-        const confirmed = confirm('Are you sure you want to activate EMERGENCY STOP?');
-        if (confirmed) {
-            const success = await this.serialComm.emergencyStop();
-            if (success) {
-                alert('⚠️ EMERGENCY STOP ACTIVATED\n\nAll servos have been stopped.');
-                // Optionally disable controls after emergency stop
-                this.disableAllControls();
+        await this.activateEmergencyStop('button');
+    }
+
+    /**
+     * Stop the arm immediately and latch the stop
+     * source says what triggered it: 'button', 'voice', 'keyboard', 'gamepad'
+     */
+    async activateEmergencyStop(source = 'button') {
+        this.sequencer.abort();
+        this.scriptConsole.abort('emergency stop');
+        this.armView.halt();
+        const success = await this.serialComm.emergencyStop();
+        this.logEmergencyStop(source, success);
+        this.updateControlsState();
+        return success;
+    }
+
+    /**
+     * Record who stopped the arm, how, and whether STOP reached the Arduino
+     */
+    logEmergencyStop(source, delivered) {
+        const operator = this.voiceAuth.getCurrentOperator();
+        const entry = {
+            time: new Date().toISOString(),
+            source,
+            operator: operator ? operator.name : null,
+            delivered
+        };
+
+        console.warn('EMERGENCY STOP:', entry);
+        this.stopLatchInfo.textContent =
+            `Stopped at ${new Date(entry.time).toLocaleTimeString()} by ${entry.operator || 'unknown'} (${source})` +
+            (delivered ? '' : ' - STOP could not be sent, check the arm');
+        this.showResetStatus('', '#6c757d');
+
+        window.dispatchEvent(new CustomEvent('emergencyStopActivated', { detail: entry }));
+    }
+
+    /**
+     * Clear a latched stop after an enrolled operator re-authenticates
+     * (voice, the PIN typed next to the button, or both in two-factor mode)
+     */
+    async resetEmergencyStop() {
+        this.resetStopBtn.disabled = true;
+        const pin = this.resetStopPin.value;
+        this.resetStopPin.value = '';
+
+        try {
+            const match = await this.voiceAuth.reauthenticate({
+                pin,
+                onPrompt: (prompt) => this.showResetStatus(`🎤 ${prompt} to confirm the reset...`, '#667eea'),
+                onRecorded: () => this.showResetStatus('Analyzing voice pattern...', '#667eea')
+            });
+
+            if (!match.accepted) {
+                window.dispatchEvent(new CustomEvent('voiceAuthFailed', {
+                    detail: {
+                        purpose: 'stop-reset',
+                        bestMatch: match.profile ? match.profile.name : null,
+                        score: match.score,
+                        reason: match.reason || undefined
+                    }
+                }));
+                this.showResetStatus(match.reason
+                    ? `❌ Not accepted: ${match.reason} - still stopped`
+                    : `❌ Voice not recognized (${Math.round(match.score * 100)}% match) - still stopped`, '#dc3545');
+                return;
             }
+            if (match.profile.role === 'observer') {
+                window.dispatchEvent(new CustomEvent('voiceAuthFailed', {
+                    detail: { purpose: 'stop-reset', bestMatch: match.profile.name, score: match.score, reason: 'observer' }
+                }));
+                this.showResetStatus(`❌ ${match.profile.name} is an observer and cannot reset the stop`, '#dc3545');
+                return;
+            }
+
+            await this.serialComm.resetEmergencyStop();
+
+            const entry = {
+                time: new Date().toISOString(),
+                operator: match.profile.name,
+                score: match.score,
+                method: match.method
+            };
+            console.warn('Emergency stop reset:', entry);
+            window.dispatchEvent(new CustomEvent('emergencyStopReset', { detail: entry }));
+            this.showResetStatus(`✅ Reset by ${match.profile.name}`, '#28a745');
+        } catch (error) {
+            console.error('Emergency stop reset error:', error);
+            this.showResetStatus(`❌ Reset failed: ${error.message}`, '#dc3545');
+        } finally {
+            this.updateControlsState();
         }
     }
 
+    showResetStatus(message, color) {
+        this.resetStopStatus.textContent = message;
+        this.resetStopStatus.style.color = color;
+    }
+
     /**
      * Disable all controls
      */
@@ -161,26 +600,28 @@ class RoboticArmController {
         this.clawOpenBtn.disabled = true;
         this.clawCloseBtn.disabled = true;
         this.emergencyStopBtn.disabled = true;
+        this.voiceCommander.setEnabled(false);
+        this.sequencer.setEnabled(false);
+        this.scriptConsole.setEnabled(false, false);
+        this.ikPanel.setEnabled(false);
+        this.calibrationPanel.setEnabled(false);
+        this.jogController.setEnabled(false);
+        this.autoLock.setEnabled(false);
+        this.voiceTestPanel.setEnabled(false);
+        this.motionPanel.setEnabled(false);
     }
 
     /**
      * Reset all servos to default position
      */
     async resetToDefault() {
-        await this.serialComm.sendImmediate('B:80');
-        await this.serialComm.sendImmediate('M:95');
-        await this.serialComm.sendImmediate('N:45');
-        await this.serialComm.sendImmediate('C:0');
-
-        this.baseSlider.value = 80;
-        this.midSlider.value = 95;
-        this.nearSlider.value = 45;
-        this.clawSlider.value = 0;
-
-        this.baseValue.textContent = 80;
-        this.midValue.textContent = 95;
-        this.nearValue.textContent = 45;
-        this.clawValue.textContent = 0;
+        try {
+            await this.moveToPose(this.defaultPose);
+            return true;
+        } catch (error) {
+            console.error('Reset failed:', error.message);
+            return false;
+        }
     }
 }
 
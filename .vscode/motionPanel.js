@@ -0,0 +1,114 @@
+/**
+ * Motion Panel
+ * Edits the trajectory planner's velocity profile, speed, acceleration and waypoint interval
+ */
+
+class MotionPanel {
+    constructor(planner) {
+        this.planner = planner;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.planner.load();
+        this.render();
+    }
+
+    initElements() {
+        this.profileSelect = document.getElementById('motionProfile');
+        this.inputs = {
+            maxSpeed: document.getElementById('maxSpeed'),
+            acceleration: document.getElementById('acceleration'),
+            interval: document.getElementById('waypointInterval')
+        };
+        this.motionPreview = document.getElementById('motionPreview');
+        this.saveMotionBtn = document.getElementById('saveMotion');
+        this.motionStatus = document.getElementById('motionStatus');
+
+        Object.entries(TrajectoryPlanner.PROFILES).forEach(([profile, label]) => {
+            this.profileSelect.appendChild(new Option(label, profile));
+        });
+    }
+
+    attachEventListeners() {
+        this.saveMotionBtn.addEventListener('click', () => this.save());
+        this.profileSelect.addEventListener('change', () => this.showPreview());
+        Object.values(this.inputs).forEach(input => {
+            input.addEventListener('input', () => this.showPreview());
+        });
+    }
+
+    render() {
+        const settings = this.planner.getSettings();
+        this.profileSelect.value = settings.profile;
+        Object.entries(this.inputs).forEach(([field, input]) => {
+            input.value = settings[field];
+        });
+        this.showPreview();
+    }
+
+    /**
+     * Read and check the form; returns settings or an error message
+     */
+    readForm() {
+        const settings = { profile: this.profileSelect.value };
+        const limits = {
+            maxSpeed: [1, 720, 'Max speed (°/s)'],
+            acceleration: [1, 5000, 'Acceleration (°/s²)'],
+            interval: [20, 1000, 'Waypoint interval (ms)']
+        };
+
+        for (const [field, [min, max, label]] of Object.entries(limits)) {
+            const value = Number(this.inputs[field].value);
+            if (!Number.isFinite(value) || value < min || value > max) {
+                return { error: `${label} must be between ${min} and ${max}` };
+            }
+            settings[field] = value;
+        }
+        return { settings };
+    }
+
+    /**
+     * How long a full 90° move would take with the values in the form
+     */
+    showPreview() {
+        const { settings, error } = this.readForm();
+        if (error) {
+            this.motionPreview.textContent = error;
+            return;
+        }
+        if (settings.profile === 'joint') {
+            this.motionPreview.textContent = 'Each joint moves on its own at the firmware speed (5 ms per degree)';
+            return;
+        }
+
+        const preview = new TrajectoryPlanner(settings);
+        const timing = preview.profileTiming(90);
+        this.motionPreview.textContent =
+            `A 90° move takes ${(timing.total / 1000).toFixed(2)} s ` +
+            `(${Math.round(timing.ramp)} ms ramps, peak ${Math.round(timing.speed)}°/s, ` +
+            `${Math.ceil(timing.total / settings.interval)} waypoints)`;
+    }
+
+    save() {
+        const { settings, error } = this.readForm();
+        if (error) {
+            this.showStatus(`❌ ${error}`, '#dc3545');
+            return;
+        }
+
+        this.planner.setSettings(settings);
+        this.planner.save();
+        this.showStatus('✅ Motion settings saved', '#28a745');
+    }
+
+    setEnabled(enabled) {
+        this.saveMotionBtn.disabled = !enabled;
+    }
+
+    showStatus(message, color) {
+        this.motionStatus.textContent = message;
+        this.motionStatus.style.color = color;
+    }
+}
+
+window.MotionPanel = MotionPanel;
\ No newline at end of file
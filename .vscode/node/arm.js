@@ -0,0 +1,575 @@
+#!/usr/bin/env node
+/**
+ * Arm Command-Line Tool (Node)
+ * Drives the arm without the web page, through the same ArmLink and ArmMotion the page uses:
+ * same command formatting, calibration, firmware limits, acks and latched emergency stop.
+ *
+ *   node arm.js connect /dev/ttyACM0 [--baud 9600]
+ *   node arm.js move base=90 mid=100 claw=open
+ *   node arm.js home | stop | reset | status
+ *   node arm.js play sequence.json [--sequence name] [--loop]
+ *   node arm.js                        (interactive prompt)
+ *
+ * --json prints one JSON object per result, --simulate drives the simulated arm.
+ * Moving the arm and resetting a stop need an operator's passphrase from the operators file
+ * (~/.robotic-arm-relay.json or --operators file, the relay's); anyone may stop it.
+ * The port, last pose, latched stop, calibration and motion settings are kept in
+ * ~/.robotic-arm-cli.json (or --state file) between runs.
+ * Needs serialport for a real arm: run npm install in this folder (npm link also puts "arm" on the PATH)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+// The browser scripts share globals; ArmLink, ArmMotion and the simulated arm expect ArmProtocol to be one
+const ArmProtocol = global.ArmProtocol = require('../armProtocol.js');
+const ArmLink = require('../armLink.js');
+const ArmMotion = require('../armMotion.js');
+const JointCalibration = require('../calibration.js');
+const TrajectoryPlanner = require('../trajectory.js');
+const PoseSequencer = require('../sequencer.js');
+const { MockSerialTransport } = require('../transports.js');
+const FileStorage = require('./fileStorage.js');
+const Operators = require('./operators.js');
+const SerialPortTransport = require('./serialPortTransport.js');
+
+const COMMANDS = `Commands:
+  connect <port> [--baud 9600]             Check the arm answers and remember its port
+  move joint=angle ...                     Move joints: base, mid, near, claw (claw=open, claw=closed)
+  home                                     Move to the home pose
+  stop                                     Emergency stop - latched until reset
+  reset                                    Clear a latched emergency stop (asks for a passphrase again)
+  play <file> [--sequence name] [--loop]   Play a sequence exported from the web app
+  status                                   Connection, stop state and pose
+  help`;
+
+const USAGE = `Usage: node arm.js [command] [--json] [--simulate] [--verbose] [--state file]
+                                [--operator name] [--operators file]
+
+${COMMANDS}
+  repl                                     Interactive prompt (the default)`;
+
+const REPL_HELP = `${COMMANDS}
+  disconnect                               Close the port
+  exit
+
+Ctrl+C stops the arm while a command is running.`;
+
+const VALUE_OPTIONS = ['--baud', '--sequence', '--state', '--operator', '--operators'];
+const FLAG_OPTIONS = ['--json', '--simulate', '--verbose', '--loop'];
+
+class ArmCli {
+    constructor({ json = false, simulate = false, verbose = false, operator = null, operators }) {
+        this.json = json;
+        this.simulate = simulate;
+        this.settingsKey = 'roboticArmCli';
+        this.settings = this.loadSettings();
+        this.isBusy = false;
+        this.sleepTimer = null;
+        this.sleepResolve = null;
+        this.operators = operators;       // Operators: whose passphrase moves the arm
+        this.operatorName = operator;     // --operator, otherwise asked for
+        this.operator = null;             // Signed in for motion: { name, role }
+        this.input = null;                // Line reader for questions, opened when first needed
+        this.lines = null;
+
+        this.link = new ArmLink();
+        // Diagnostics go to stderr so --json output stays parseable
+        const quiet = () => {};
+        const toStderr = (...args) => console.error(...args);
+        this.link.logger = verbose
+            ? { log: toStderr, warn: toStderr, error: toStderr }
+            : { log: quiet, warn: quiet, error: quiet };
+
+        this.calibration = new JointCalibration();
+        this.link.setCalibration(this.calibration);
+        this.planner = new TrajectoryPlanner();
+        this.planner.load();
+        this.motion = new ArmMotion(this.link, this.planner);
+
+        this.link.on('stopLatched', () => this.wake());
+        this.link.on('arduinoDisconnected', ({ reason }) => {
+            if (reason !== 'Disconnected by user') {
+                this.print({ event: 'disconnected', reason }, `Arm connection lost: ${reason}`);
+            }
+        });
+    }
+
+    /**
+     * { port, baudRate, poses: { armId: pose } } - the last port and the pose each arm was left in
+     */
+    loadSettings() {
+        try {
+            return { poses: {}, ...JSON.parse(localStorage.getItem(this.settingsKey)) };
+        } catch (error) {
+            return { poses: {} };
+        }
+    }
+
+    saveSettings() {
+        localStorage.setItem(this.settingsKey, JSON.stringify(this.settings));
+    }
+
+    /**
+     * Run one command; prints its result (or error) and returns true if it succeeded
+     */
+    async run(command, args = [], options = {}) {
+        const handlers = {
+            connect: () => this.connect(args[0], options.baud),
+            disconnect: () => this.disconnect(),
+            move: () => this.move(args),
+            home: () => this.home(),
+            stop: () => this.stop(),
+            reset: () => this.reset(),
+            play: () => this.play(args[0], options),
+            status: () => this.status(),
+            help: () => ({ message: REPL_HELP })
+        };
+        if (!handlers[command]) {
+            this.print({ ok: false, command, error: `Unknown command "${command}"` },
+                `Unknown command "${command}" - try help`);
+            return false;
+        }
+
+        this.isBusy = true;
+        try {
+            const result = await handlers[command]();
+            const { message, ...details } = result;
+            this.print({ ok: true, command, ...details }, message);
+            return true;
+        } catch (error) {
+            this.print({ ok: false, command, error: error.message }, `Error: ${error.message}`);
+            return false;
+        } finally {
+            this.isBusy = false;
+            this.savePose();
+        }
+    }
+
+    /**
+     * Print a result: the object with --json, otherwise the text
+     */
+    print(object, text) {
+        console.log(this.json ? JSON.stringify(object) : text);
+    }
+
+    async connect(port = this.settings.port, baud = this.settings.baudRate || 9600) {
+        if (!port && !this.simulate) {
+            throw new Error('Usage: connect <port> [--baud 9600]');
+        }
+        if (this.link.getConnectionState()) {
+            await this.disconnect();
+        }
+
+        const baudRate = Number(baud);
+        const transport = this.simulate ? new MockSerialTransport() : new SerialPortTransport(port);
+        // The banner means the board reset on open, and the sketch put the servos at the home pose
+        let reset = false;
+        const onResponse = (response) => {
+            reset = reset || response.type === 'ready';
+        };
+
+        this.link.on('arduinoResponse', onResponse);
+        try {
+            await this.link.open(transport, { baudRate, name: this.simulate ? 'mock' : 'serial' });
+        } finally {
+            this.link.off('arduinoResponse', onResponse);
+        }
+
+        const armId = this.link.getArmId();
+        this.calibration.load(armId);
+        const saved = this.settings.poses[armId];
+        this.link.assumePositions(!reset && saved ? saved : ArmMotion.HOME_POSE);
+
+        if (!this.simulate) {
+            this.settings.port = port;
+            this.settings.baudRate = baudRate;
+            this.saveSettings();
+        }
+        return this.status();
+    }
+
+    /**
+     * Connect to the remembered port (or the simulator) unless already connected
+     */
+    async ensureConnected() {
+        if (this.link.getConnectionState()) {
+            return;
+        }
+        if (!this.settings.port && !this.simulate) {
+            throw new Error('No arm port - run "connect <port>" first');
+        }
+        await this.connect();
+    }
+
+    async disconnect() {
+        this.savePose();
+        await this.link.close();
+        return { message: 'Disconnected' };
+    }
+
+    /**
+     * Remember where the servos were left so the next run plans moves from there
+     */
+    savePose() {
+        if (this.simulate || !this.link.getConnectionState()) {
+            return;
+        }
+        this.settings.poses[this.link.getArmId()] = this.motion.getCommandedPose();
+        this.saveSettings();
+    }
+
+    /**
+     * Ask a question on stdin (piped input answers too); null at end of input
+     * Questions go to stderr with --json so the output stays parseable
+     */
+    async ask(question) {
+        if (!this.lines) {
+            this.input = readline.createInterface({ input: process.stdin });
+            this.lines = this.input[Symbol.asyncIterator]();
+        }
+        (this.json ? process.stderr : process.stdout).write(question);
+        const { value, done } = await this.lines.next();
+        return done ? null : value.trim();
+    }
+
+    /**
+     * Check an operator's passphrase against the operators file
+     * Observers can't move the arm; the { name, role } of the operator is returned
+     */
+    async verifyOperator() {
+        if (this.operators.count() === 0) {
+            throw new Error(`No operators in ${this.operators.file} - add one with "node relay.js --add-operator <name>"`);
+        }
+        const name = this.operatorName || await this.ask('Operator: ');
+        if (!name) {
+            throw new Error('No operator given (--operator name)');
+        }
+        const operator = await this.operators.verify(name, await this.ask(`Passphrase for ${name}: `));
+        if (!operator) {
+            throw new Error('Wrong operator or passphrase');
+        }
+        if (operator.role === 'observer') {
+            throw new Error(`${operator.name} is an observer and can't move the arm`);
+        }
+        return operator;
+    }
+
+    /**
+     * Sign in before the first move; the interactive prompt stays signed in until exit
+     */
+    async signIn() {
+        if (!this.operator) {
+            this.operator = await this.verifyOperator();
+            this.link.setOperator(this.operator);
+        }
+        return this.operator;
+    }
+
+    async move(args) {
+        const pose = ArmCli.parsePose(args);
+        await this.signIn();
+        await this.ensureConnected();
+        await this.motion.moveToPose(pose);
+        return this.describePose('Moved');
+    }
+
+    async home() {
+        await this.signIn();
+        await this.ensureConnected();
+        await this.motion.home();
+        return this.describePose('Home');
+    }
+
+    /**
+     * Latch and send the emergency stop; it stays latched here (and in the state file)
+     * even if the arm can't be reached
+     */
+    async stop() {
+        try {
+            await this.ensureConnected();
+        } catch (error) {
+            this.link.latchStop();
+            throw new Error(`Stop latched here but not sent to the arm: ${error.message}`);
+        }
+
+        let onResponse;
+        const acknowledged = new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), this.link.ackTimeout);
+            onResponse = (response) => {
+                if (response.type === 'stop-ack') {
+                    clearTimeout(timer);
+                    resolve(true);
+                }
+            };
+            this.link.on('arduinoResponse', onResponse);
+        });
+
+        const sent = await this.link.emergencyStop();
+        const acked = sent && await acknowledged;
+        this.link.off('arduinoResponse', onResponse);
+        return {
+            message: acked ? 'Emergency stop acknowledged - reset required' : 'Emergency stop sent (not acknowledged) - reset required',
+            acknowledged: acked
+        };
+    }
+
+    /**
+     * The page asks for a fresh voice match; here an operator's passphrase is asked for every time,
+     * even when signed in, and who reset the stop is kept in the state file
+     */
+    async reset() {
+        await this.ensureConnected();
+        if (!this.link.isStopLatched()) {
+            return { message: 'No emergency stop latched', stopped: false };
+        }
+        const operator = await this.verifyOperator();
+
+        await this.link.resetEmergencyStop();
+        this.settings.lastReset = { by: operator.name, at: new Date().toISOString() };
+        this.saveSettings();
+        return { message: `Emergency stop reset by ${operator.name}`, stopped: false, resetBy: operator.name };
+    }
+
+    /**
+     * Play a sequence from a file exported by the web app's sequencer; Ctrl+C stops the arm
+     */
+    async play(file, { sequence, loop = false } = {}) {
+        if (!file) {
+            throw new Error('Usage: play <file> [--sequence name] [--loop]');
+        }
+        const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        PoseSequencer.validateExport(data);
+        await this.signIn();
+
+        const names = Object.keys(data.sequences);
+        const name = sequence || (names.length === 1 ? names[0] : null);
+        if (!name || !data.sequences[name]) {
+            throw new Error(names.length > 0
+                ? `Choose a sequence with --sequence: ${names.join(', ')}`
+                : 'The file has no sequences');
+        }
+
+        await this.ensureConnected();
+        const steps = data.sequences[name].steps;
+        let loops = 0;
+        do {
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+                this.print({ event: 'step', sequence: name, step: i + 1, of: steps.length, pose: step.pose },
+                    `Step ${i + 1}/${steps.length}: moving to "${step.pose}"`);
+
+                await this.motion.moveToPose(data.poses[step.pose]);
+                await this.sleep(step.delay);
+                if (this.link.isStopLatched()) {
+                    throw new Error('Emergency stop is latched');
+                }
+            }
+            loops++;
+        } while (loop);
+
+        return { message: `Played "${name}"`, sequence: name, loops };
+    }
+
+    async status() {
+        if (this.settings.port || this.simulate) {
+            try {
+                await this.ensureConnected();
+            } catch (error) {
+                this.link.logger.warn('Status without the arm:', error.message);
+            }
+        }
+
+        const info = this.link.getArmInfo();
+        const connected = this.link.getConnectionState();
+        const stopped = this.link.isStopLatched();
+        const pose = this.motion.getCommandedPose();
+        const { lastReset } = this.settings;
+        const lines = [
+            connected
+                ? `Connected to ${this.link.getArmId()} ${info ? `(firmware ${info.firmware}, protocol ${info.protocol})` : '(legacy protocol)'}`
+                : `Not connected${this.settings.port ? ` (arm port ${this.settings.port})` : ''}`,
+            `Emergency stop: ${stopped ? 'latched - reset required' : 'clear'}`
+                + (lastReset ? ` (last reset by ${lastReset.by} at ${lastReset.at})` : ''),
+            ArmCli.formatPose('Pose', pose)
+        ];
+
+        return {
+            message: lines.join('\n'),
+            connected,
+            armId: connected ? this.link.getArmId() : this.settings.port || null,
+            protocol: connected ? this.link.protocol : null,
+            firmware: info ? info.firmware : null,
+            stopped,
+            lastReset: lastReset || null,
+            pose
+        };
+    }
+
+    describePose(label) {
+        const pose = this.motion.getCommandedPose();
+        return { message: ArmCli.formatPose(label, pose), pose };
+    }
+
+    static formatPose(label, pose) {
+        return `${label}: ${Object.entries(pose).map(([joint, angle]) => `${joint} ${angle}`).join(', ')}`;
+    }
+
+    /**
+     * ['base=90', 'claw=open'] -> { base: 90, claw: 0 }
+     * Angles outside a joint's range are refused rather than clamped
+     */
+    static parsePose(args) {
+        const pose = {};
+        args.forEach(arg => {
+            const match = arg.match(/^(\w+)=(\S+)$/);
+            const joint = match && match[1].toLowerCase();
+            if (!match || !Object.hasOwn(ArmMotion.JOINT_RANGES, joint)) {
+                throw new Error(`Expected joint=angle (base, mid, near or claw), got "${arg}"`);
+            }
+
+            const named = { open: ArmProtocol.CLAW_OPEN, closed: ArmProtocol.CLAW_CLOSED };
+            const angle = joint === 'claw' && named[match[2]] !== undefined ? named[match[2]] : Number(match[2]);
+            const { min, max } = ArmMotion.JOINT_RANGES[joint];
+            if (!Number.isFinite(angle) || angle < min || angle > max) {
+                throw new Error(`${joint} must be between ${min} and ${max}`);
+            }
+            pose[joint] = angle;
+        });
+
+        if (Object.keys(pose).length === 0) {
+            throw new Error('Nothing to move - give joint=angle pairs, e.g. move base=90 mid=100');
+        }
+        return pose;
+    }
+
+    /**
+     * Wait between sequence steps; resolves early when the stop latches
+     */
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.sleepResolve = resolve;
+            this.sleepTimer = setTimeout(resolve, ms);
+        });
+    }
+
+    wake() {
+        clearTimeout(this.sleepTimer);
+        if (this.sleepResolve) {
+            this.sleepResolve();
+            this.sleepResolve = null;
+        }
+    }
+
+    /**
+     * Ctrl+C while a command runs: emergency stop (the command then fails)
+     * Returns false if there was nothing to stop
+     */
+    interrupt() {
+        if (!this.isBusy || !this.link.getConnectionState() || this.link.isStopLatched()) {
+            return false;
+        }
+        this.print({ event: 'interrupt' }, 'Ctrl+C - emergency stop');
+        this.link.emergencyStop().catch(error => this.link.logger.error('Emergency stop failed:', error));
+        return true;
+    }
+
+    /**
+     * Read commands a line at a time until exit or end of input
+     */
+    async repl() {
+        const rl = readline.createInterface({
+            input: process.stdin,
+            output: process.stdout,
+            prompt: this.json ? '' : 'arm> '
+        });
+        // Answers are read from the same stream as commands, so piped scripts can sign in too
+        const lines = rl[Symbol.asyncIterator]();
+        this.input = rl;
+        this.lines = lines;
+        rl.on('SIGINT', () => {
+            if (!this.interrupt()) {
+                rl.close();
+            }
+        });
+
+        if (!this.json) {
+            console.log('Robotic arm - type help for commands');
+        }
+        rl.prompt();
+        for (let next = await lines.next(); !next.done; next = await lines.next()) {
+            const { command, args, options } = parseArgs(next.value.trim().split(/\s+/).filter(Boolean));
+            if (command === 'exit' || command === 'quit') {
+                break;
+            }
+            if (command) {
+                await this.run(command, args, options);
+            }
+            rl.prompt();
+        }
+        rl.close();
+    }
+}
+
+/**
+ * Split words into the command, its arguments and --options
+ */
+function parseArgs(words) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        if (VALUE_OPTIONS.includes(word)) {
+            options[word.slice(2)] = words[++i];
+        } else if (FLAG_OPTIONS.includes(word)) {
+            options[word.slice(2)] = true;
+        } else {
+            positional.push(word);
+        }
+    }
+    const [command = null, ...args] = positional;
+    return { command: command && command.toLowerCase(), args, options };
+}
+
+async function main() {
+    const { command, args, options } = parseArgs(process.argv.slice(2));
+    if (command === 'help' || command === '--help') {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // ArmLink, JointCalibration and TrajectoryPlanner keep their settings in localStorage
+    global.localStorage = new FileStorage(options.state || path.join(os.homedir(), '.robotic-arm-cli.json'));
+    const operators = new Operators(options.operators || path.join(os.homedir(), '.robotic-arm-relay.json'));
+    const cli = new ArmCli({ ...options, operators });
+
+    if (!command || command === 'repl') {
+        await cli.repl();
+        await cli.link.close();
+        return 0;
+    }
+
+    process.on('SIGINT', () => {
+        if (!cli.interrupt()) {
+            process.exit(130);
+        }
+    });
+    const ok = await cli.run(command, args, options);
+    if (cli.input) {
+        cli.input.close();
+    }
+    await cli.link.close();
+    return ok ? 0 : 1;
+}
+
+if (require.main === module) {
+    // Exit explicitly: the simulator and handshake leave timers behind
+    main().then(code => process.exit(code), error => {
+        console.error('arm failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ArmCli;
\ No newline at end of file
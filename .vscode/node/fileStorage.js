@@ -0,0 +1,45 @@
+/**
+ * File Storage (Node)
+ * The parts of localStorage the browser modules use (getItem, setItem, removeItem),
+ * kept in a JSON file so a latched stop, calibration and motion settings outlive the process
+ */
+
+const fs = require('fs');
+
+class FileStorage {
+    constructor(path) {
+        this.path = path;
+        this.items = {};
+
+        try {
+            this.items = JSON.parse(fs.readFileSync(path, 'utf8')) || {};
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Ignoring unreadable state file ${path}:`, error.message);
+            }
+        }
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.save();
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+        this.save();
+    }
+
+    /**
+     * Written on every change; a stop latched just before a crash must not be lost
+     */
+    save() {
+        fs.writeFileSync(this.path, JSON.stringify(this.items, null, 2) + '\n');
+    }
+}
+
+module.exports = FileStorage;
\ No newline at end of file
@@ -0,0 +1,57 @@
+/**
+ * Operators File (Node)
+ * Names, roles and salted PBKDF2 passphrase hashes of the people who may drive the arm.
+ * relay.js checks page unlocks against it and arm.js checks its own operators;
+ * both default to ~/.robotic-arm-relay.json (add operators with relay.js --add-operator).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+/**
+ * Operators file: { id: { name, role, passphrase: { salt, hash, iterations } } }
+ * Hashes are salted PBKDF2-SHA256, the same records the page's Credentials module makes
+ */
+class Operators {
+    constructor(file) {
+        this.file = file;
+        this.iterations = 200000;
+        this.operators = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+    }
+
+    count() {
+        return Object.keys(this.operators).length;
+    }
+
+    async add(name, role, passphrase) {
+        const salt = crypto.randomBytes(16);
+        const hash = await pbkdf2(passphrase, salt, this.iterations, 32, 'sha256');
+        this.operators[name.toLowerCase()] = {
+            name,
+            role,
+            passphrase: { salt: salt.toString('base64'), hash: hash.toString('base64'), iterations: this.iterations }
+        };
+        fs.writeFileSync(this.file, JSON.stringify(this.operators, null, 2), { mode: 0o600 });
+    }
+
+    /**
+     * The operator's { name, role } if the passphrase is theirs, otherwise null
+     */
+    async verify(name, passphrase) {
+        const operator = this.operators[String(name || '').toLowerCase()];
+        if (!operator || !passphrase) {
+            return null;
+        }
+        const record = operator.passphrase;
+        const hash = await pbkdf2(String(passphrase), Buffer.from(record.salt, 'base64'), record.iterations, 32, 'sha256');
+        const expected = Buffer.from(record.hash, 'base64');
+        return hash.length === expected.length && crypto.timingSafeEqual(hash, expected)
+            ? { name: operator.name, role: operator.role }
+            : null;
+    }
+}
+
+module.exports = Operators;
\ No newline at end of file
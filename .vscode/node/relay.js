@@ -0,0 +1,492 @@
+#!/usr/bin/env node
+/**
+ * Arm Relay (Node)
+ * Owns the Arduino's serial port and shares it with browser pages over WebSocket
+ * (the "Relay" transport). Every page sees the stop state and who holds motion control;
+ * only the page holding control may move the arm, and any page may stop it.
+ * The relay can't hear voices, so a page's unlock must also carry the operator's relay
+ * passphrase; names, roles and passphrase hashes come from the operators file, never the page.
+ *
+ *   node relay.js /dev/ttyACM0 [--baud 9600] [--host 127.0.0.1] [--port 8765] [--token secret]
+ *                              [--cert cert.pem --key key.pem] [--operators file]
+ *   node relay.js --simulate
+ *   node relay.js --add-operator <name> [--role operator|observer] [--operators file]
+ *
+ * Operators are kept in ~/.robotic-arm-relay.json unless --operators says otherwise.
+ * Needs ws (and serialport for a real arm): run npm install in this folder (see package.json)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { WebSocketServer } = require('ws');
+
+// The browser scripts share globals; the simulated arm expects ArmProtocol to be one
+const ArmProtocol = global.ArmProtocol = require('../armProtocol.js');
+const { MockSerialTransport } = require('../transports.js');
+const Operators = require('./operators.js');
+const SerialPortTransport = require('./serialPortTransport.js');
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+class ArmRelay {
+    constructor(transport, { baudRate = 9600, token, operators }) {
+        this.transport = transport;
+        this.baudRate = baudRate;
+        this.token = token;
+        this.operators = operators;   // Operators: who may unlock, and as what role
+        this.server = null;
+        this.sessions = new Set();
+        this.controller = null;       // Session holding motion control
+        this.stopped = false;         // Mirrors the firmware's latched stop
+        this.armInfo = null;          // Arm's HELLO reply, or null for a legacy sketch
+        this.receiveBuffer = '';
+        this.handshakeTimeout = 700;  // Same retries as SerialCommunicator.handshake()
+        this.handshakeAttempts = 4;
+        this.handshakeWaiter = null;
+        this.helloTimeout = 5000;     // Pages must authenticate within this many ms
+        this.maxUnlockFailures = 5;   // Wrong relay passphrases before the page is disconnected
+    }
+
+    /**
+     * Open the arm's port and ask the firmware what it is
+     */
+    async open() {
+        this.transport.onData = (text) => this.handleData(text);
+        this.transport.onClose = (reason) => this.shutdown(reason);
+        await this.transport.open({ baudRate: this.baudRate });
+        await this.handshake();
+    }
+
+    async handshake() {
+        for (let attempt = 1; attempt <= this.handshakeAttempts && !this.armInfo; attempt++) {
+            const reply = new Promise(resolve => {
+                this.handshakeWaiter = resolve;
+                setTimeout(() => resolve(null), this.handshakeTimeout);
+            });
+            // Pages number their frames from 1, so sequence 0 is the relay's own
+            await this.transport.write(ArmProtocol.frame(0, ArmProtocol.HELLO_COMMAND) + '\n');
+            this.armInfo = await reply;
+            this.handshakeWaiter = null;
+        }
+
+        if (this.armInfo && this.armInfo.protocol !== ArmProtocol.PROTOCOL_VERSION) {
+            log(`Firmware speaks protocol ${this.armInfo.protocol} - relaying it as legacy`);
+            this.armInfo = null;
+        }
+        if (this.armInfo) {
+            this.stopped = this.armInfo.stopped;
+            log(`Firmware ${this.armInfo.firmware}, protocol ${this.armInfo.protocol}${this.stopped ? ', stop latched' : ''}`);
+        } else {
+            log('No handshake reply - relaying the legacy protocol');
+        }
+    }
+
+    /**
+     * Accept pages on host:port, over TLS (wss://) when given a certificate and key
+     */
+    listen({ host, port, cert = null, key = null }) {
+        if (cert && key) {
+            const server = https.createServer({ cert: fs.readFileSync(cert), key: fs.readFileSync(key) });
+            this.server = new WebSocketServer({ server });
+            server.listen(port, host);
+        } else {
+            this.server = new WebSocketServer({ host, port });
+        }
+        this.server.on('connection', (socket, request) => this.handleConnection(socket, request));
+    }
+
+    handleData(text) {
+        this.receiveBuffer += text;
+
+        let newlineIndex;
+        while ((newlineIndex = this.receiveBuffer.indexOf('\n')) >= 0) {
+            const line = this.receiveBuffer.slice(0, newlineIndex).trim();
+            this.receiveBuffer = this.receiveBuffer.slice(newlineIndex + 1);
+            if (line) {
+                this.handleArmLine(line);
+            }
+        }
+    }
+
+    /**
+     * Stops and the boot banner go to every page; everything else answers the controller
+     */
+    handleArmLine(line) {
+        const response = ArmProtocol.parseResponse(line);
+
+        if (response.type === 'hello' && this.handshakeWaiter && response.seq === 0) {
+            this.handshakeWaiter(response.info);
+            return;
+        }
+
+        if (response.type === 'stop-ack' || response.type === 'refused') {
+            this.setStopped(true);
+        } else if (response.type === 'reset-ack') {
+            this.setStopped(false);
+        }
+
+        if (response.type === 'stop-ack' || response.type === 'ready') {
+            this.broadcast({ type: 'data', text: line });
+        } else if (this.controller) {
+            this.send(this.controller, { type: 'data', text: line });
+        }
+    }
+
+    handleConnection(socket, request) {
+        const session = {
+            socket,
+            operator: null,
+            authenticated: false,
+            address: request.socket.remoteAddress,
+            unlockFailures: 0,
+            unlockAttempt: 0,         // Bumped by every unlock and lock, so a slow check can't outlive a lock
+            refused: null             // Why the last unlock was refused, shown on that page
+        };
+        const timer = setTimeout(() => {
+            if (!session.authenticated) {
+                socket.close(4001, 'No hello');
+            }
+        }, this.helloTimeout);
+
+        socket.on('message', (data) => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                message = null;
+            }
+            if (!message || typeof message !== 'object') {
+                socket.close(4002, 'Messages must be JSON objects');
+                return;
+            }
+
+            if (!session.authenticated) {
+                clearTimeout(timer);
+                this.authenticate(session, message);
+            } else {
+                this.handleMessage(session, message);
+            }
+        });
+
+        socket.on('close', () => {
+            clearTimeout(timer);
+            this.sessions.delete(session);
+            if (this.controller === session) {
+                log(`${this.describe(session)} disconnected while holding motion control`);
+                this.controller = null;
+                this.broadcastControl();
+            }
+        });
+    }
+
+    /**
+     * The first message must be { type: 'hello', token } with the relay's token
+     */
+    authenticate(session, message) {
+        if (message.type !== 'hello' || !this.tokenMatches(message.token)) {
+            log(`Refused ${session.address}: bad token`);
+            session.socket.close(4001, 'Bad token');
+            return;
+        }
+
+        session.authenticated = true;
+        this.sessions.add(session);
+        log(`Page connected from ${session.address}`);
+        this.send(session, { type: 'welcome', armId: this.transport.getArmId() });
+        this.sendControl(session);
+    }
+
+    /**
+     * Compare digests so the comparison takes the same time whatever was typed
+     */
+    tokenMatches(token) {
+        const digest = text => crypto.createHash('sha256').update(String(text || '')).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.token));
+    }
+
+    handleMessage(session, message) {
+        switch (message.type) {
+            case 'write':
+                this.handleWrite(session, String(message.text || '').trim());
+                break;
+            case 'unlock':
+                this.unlock(session, message).catch(error => log(`Unlock check failed: ${error.message}`));
+                break;
+            case 'lock':
+                log(`${this.describe(session)} locked`);
+                session.unlockAttempt++;
+                this.releaseControl(session);
+                session.operator = null;
+                break;
+            case 'request-control':
+                this.grantControl(session);
+                break;
+            case 'release-control':
+                this.releaseControl(session);
+                break;
+            default:
+                log(`Ignored "${message.type}" from ${this.describe(session)}`);
+        }
+    }
+
+    /**
+     * The page unlocked by voice (and PIN); the relay also needs that operator's relay passphrase
+     * Name and role come from the operators file; control goes to the first operator who unlocks
+     */
+    async unlock(session, message) {
+        const name = String((message.operator || {}).name || '');
+        const attempt = ++session.unlockAttempt;
+        const operator = await this.operators.verify(name, message.passphrase);
+        if (attempt !== session.unlockAttempt) {
+            return;
+        }
+
+        if (!operator) {
+            session.unlockFailures++;
+            session.refused = `wrong relay passphrase for "${name}"`;
+            log(`Refused unlock as "${name}" from ${session.address} (${session.unlockFailures}/${this.maxUnlockFailures})`);
+            this.sendControl(session);
+            if (session.unlockFailures >= this.maxUnlockFailures) {
+                session.socket.close(4003, 'Too many failed unlocks');
+            }
+            return;
+        }
+
+        // A page that was unlocked as someone else gives up their control first
+        if (session.operator) {
+            this.releaseControl(session);
+        }
+        session.unlockFailures = 0;
+        session.refused = null;
+        session.operator = operator;
+        log(`${this.describe(session)} unlocked as ${operator.role}`);
+        this.grantControl(session);
+    }
+
+    /**
+     * Forward a command line from a page
+     * Any page may STOP; HELLO is answered from the arm's handshake;
+     * everything else needs motion control and a clear stop
+     */
+    handleWrite(session, text) {
+        const frame = text.startsWith('#') ? ArmProtocol.unframe(text) : null;
+        if (text.startsWith('#') && !frame) {
+            this.reject(session, text, 'malformed frame');
+            return;
+        }
+        const command = frame ? frame.body : text;
+        const name = command.split(':')[0].trim();
+
+        if (name === 'STOP') {
+            log(`STOP from ${this.describe(session)}`);
+            this.setStopped(true);
+            this.writeToArm(ArmProtocol.STOP_COMMAND);
+            return;
+        }
+
+        if (name === 'HELLO') {
+            if (this.armInfo) {
+                const hello = ArmProtocol.formatHello({ ...this.armInfo, stopped: this.stopped });
+                this.send(session, { type: 'data', text: frame ? ArmProtocol.frame(frame.seq, hello) : hello });
+            }
+            return;
+        }
+
+        if (session !== this.controller) {
+            this.reject(session, text, this.controller
+                ? `${this.controller.operator.name} has motion control`
+                : 'take motion control first');
+            return;
+        }
+        if (name !== 'RESET' && !ArmProtocol.parseCommand(command) && !ArmProtocol.parseWaypoint(command)) {
+            this.reject(session, text, 'unknown command');
+            return;
+        }
+        if (this.stopped && name !== 'RESET') {
+            this.reject(session, text, 'emergency stop is latched');
+            return;
+        }
+
+        this.writeToArm(text);
+    }
+
+    writeToArm(text) {
+        this.transport.write(text + '\n').catch(error => log(`Write failed: ${error.message}`));
+    }
+
+    reject(session, text, reason) {
+        log(`Refused ${text} from ${this.describe(session)}: ${reason}`);
+        this.send(session, { type: 'rejected', text, reason });
+    }
+
+    /**
+     * Only an unlocked operator (not an observer) may take control, and only while nobody holds it
+     */
+    grantControl(session) {
+        if (!this.controller && session.operator && session.operator.role !== 'observer') {
+            this.controller = session;
+            log(`${this.describe(session)} has motion control`);
+        }
+        this.broadcastControl();
+    }
+
+    releaseControl(session) {
+        if (this.controller === session) {
+            this.controller = null;
+            log(`${this.describe(session)} released motion control`);
+        }
+        this.broadcastControl();
+    }
+
+    setStopped(stopped) {
+        if (this.stopped !== stopped) {
+            this.stopped = stopped;
+            this.broadcastControl();
+        }
+    }
+
+    sendControl(session) {
+        this.send(session, {
+            type: 'control',
+            holder: this.controller ? this.controller.operator.name : null,
+            mine: this.controller === session,
+            stopped: this.stopped,
+            refused: session.refused
+        });
+    }
+
+    broadcastControl() {
+        this.sessions.forEach(session => this.sendControl(session));
+    }
+
+    broadcast(message) {
+        this.sessions.forEach(session => this.send(session, message));
+    }
+
+    send(session, message) {
+        if (session.socket.readyState === session.socket.OPEN) {
+            session.socket.send(JSON.stringify(message));
+        }
+    }
+
+    describe(session) {
+        return session.operator ? `${session.operator.name} (${session.address})` : session.address;
+    }
+
+    /**
+     * The arm went away: tell every page and exit
+     */
+    shutdown(reason) {
+        log(`Arm connection lost: ${reason}`);
+        this.sessions.forEach(session => session.socket.close(1011, `Arm connection lost: ${reason}`));
+        if (this.server) {
+            this.server.close();
+        }
+        process.exitCode = 1;
+    }
+}
+
+function parseArgs(args) {
+    const options = {
+        baud: 9600,
+        host: '127.0.0.1',
+        port: 8765,
+        token: null,
+        cert: null,
+        key: null,
+        operators: path.join(os.homedir(), '.robotic-arm-relay.json'),
+        role: 'operator',
+        path: null,
+        simulate: false
+    };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--simulate') {
+            options.simulate = true;
+        } else if (arg === '--add-operator') {
+            options.addOperator = args[++i];
+        } else if (['--baud', '--host', '--port', '--token', '--cert', '--key', '--operators', '--role'].includes(arg)) {
+            options[arg.slice(2)] = args[++i];
+        } else {
+            options.path = arg;
+        }
+    }
+    options.baud = Number(options.baud);
+    options.port = Number(options.port);
+    return options;
+}
+
+/**
+ * Ask for a new operator's relay passphrase (twice) and save its hash
+ */
+async function addOperator(operators, name, role) {
+    if (!['operator', 'observer'].includes(role)) {
+        throw new Error('--role must be operator or observer');
+    }
+
+    // Read lines as they come, so the passphrases can also be piped in
+    const rl = readline.createInterface({ input: process.stdin });
+    const lines = rl[Symbol.asyncIterator]();
+    const ask = async (question) => {
+        process.stdout.write(question);
+        const { value } = await lines.next();
+        return value || '';
+    };
+    const passphrase = await ask(`Relay passphrase for ${name}: `);
+    const confirmation = await ask('Again: ');
+    rl.close();
+
+    if (passphrase.length < 4) {
+        throw new Error('The passphrase must be at least 4 characters');
+    }
+    if (passphrase !== confirmation) {
+        throw new Error('The passphrases don\'t match');
+    }
+    await operators.add(name, role, passphrase);
+    console.log(`Added ${name} (${role}) to ${operators.file}`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const operators = new Operators(options.operators);
+    if (options.addOperator) {
+        await addOperator(operators, options.addOperator, options.role);
+        return;
+    }
+    if (!options.path && !options.simulate) {
+        console.error('Usage: node relay.js <serial port> [--baud 9600] [--host 127.0.0.1] [--port 8765] [--token secret]');
+        console.error('                     [--cert cert.pem --key key.pem] [--operators file]');
+        console.error('       node relay.js --simulate');
+        console.error('       node relay.js --add-operator <name> [--role operator|observer] [--operators file]');
+        process.exit(1);
+    }
+
+    // Every page must present this token; a random one is printed if none is given
+    const token = options.token || crypto.randomBytes(12).toString('hex');
+    const transport = options.simulate ? new MockSerialTransport() : new SerialPortTransport(options.path);
+    const tls = Boolean(options.cert && options.key);
+
+    const relay = new ArmRelay(transport, { baudRate: options.baud, token, operators });
+    await relay.open();
+    relay.listen({ host: options.host, port: options.port, cert: options.cert, key: options.key });
+    log(`Relaying ${transport.getArmId()} on ${tls ? 'wss' : 'ws'}://${options.host}:${options.port} - token ${token}`);
+    if (operators.count() === 0) {
+        log(`No operators in ${options.operators}: nobody can take motion control (add them with --add-operator)`);
+    }
+    if (!tls && !['127.0.0.1', 'localhost', '::1'].includes(options.host)) {
+        log('Warning: listening beyond this machine without TLS - the token and passphrases cross the network in clear text');
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Relay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ArmRelay;
\ No newline at end of file
@@ -0,0 +1,56 @@
+/**
+ * Serial Port Transport (Node)
+ * The transport interface from transports.js on top of the serialport package,
+ * so the relay and command-line tools can own the Arduino's port
+ */
+
+class SerialPortTransport {
+    constructor(path) {
+        this.path = path;
+        this.port = null;
+        this.isClosing = false;
+        this.onData = () => {};
+        this.onClose = () => {};
+    }
+
+    async open({ baudRate = 9600 } = {}) {
+        // Loaded here so the simulator works without the native module installed
+        const { SerialPort } = require('serialport');
+
+        this.isClosing = false;
+        // hupcl off leaves DTR raised on close, so the next open (the CLI opens the port
+        // for every command) doesn't reset the board and send the servos home
+        this.port = new SerialPort({ path: this.path, baudRate, hupcl: false, autoOpen: false });
+        await new Promise((resolve, reject) => {
+            this.port.open(error => error ? reject(error) : resolve());
+        });
+
+        this.port.on('data', chunk => this.onData(chunk.toString('latin1')));
+        this.port.on('close', () => {
+            if (!this.isClosing) {
+                this.onClose('Serial port closed');
+            }
+        });
+        this.port.on('error', error => console.error('Serial port error:', error.message));
+    }
+
+    async write(text) {
+        await new Promise((resolve, reject) => {
+            this.port.write(text, 'latin1', error => error ? reject(error) : this.port.drain(resolve));
+        });
+    }
+
+    async close() {
+        this.isClosing = true;
+        if (this.port && this.port.isOpen) {
+            await new Promise(resolve => this.port.close(() => resolve()));
+        }
+        this.port = null;
+    }
+
+    getArmId() {
+        return this.path;
+    }
+}
+
+module.exports = SerialPortTransport;
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * Command-line tool against the simulated arm: a latched stop is only reset
+ * with an operator's passphrase, the state file records who reset it,
+ * and joint=angle arguments are checked before anything moves
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ArmCli = require('../arm.js');
+const Operators = require('../operators.js');
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * Simulated arm with a latched stop; answers are given to the tool's questions in order
+ */
+async function stoppedCli(answers) {
+    global.localStorage = new MemoryStorage();
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'arm-test-')), 'operators.json');
+    const operators = new Operators(file);
+    operators.iterations = 1000; // Fast hashes for tests
+    await operators.add('Alice', 'operator', 'alice-pass');
+    await operators.add('Olive', 'observer', 'olive-pass');
+
+    const cli = new ArmCli({ simulate: true, operators });
+    const questions = [];
+    cli.ask = async (question) => {
+        questions.push(question);
+        return answers.shift() || null;
+    };
+    await cli.stop();
+    assert.strictEqual(cli.link.isStopLatched(), true);
+    return { cli, questions };
+}
+
+test('refuses to reset the stop without a passphrase', async () => {
+    const { cli, questions } = await stoppedCli(['alice', 'wrong']);
+    await assert.rejects(cli.reset(), /Wrong operator or passphrase/);
+    assert.deepStrictEqual(questions, ['Operator: ', 'Passphrase for alice: ']);
+    assert.strictEqual(cli.link.isStopLatched(), true);
+    assert.strictEqual(cli.settings.lastReset, undefined);
+    await cli.link.close();
+});
+
+test('refuses to let an observer reset the stop', async () => {
+    const { cli } = await stoppedCli(['olive', 'olive-pass']);
+    await assert.rejects(cli.reset(), /observer/);
+    assert.strictEqual(cli.link.isStopLatched(), true);
+    await cli.link.close();
+});
+
+test('asks again on reset even when signed in, and records who reset the stop', async () => {
+    const { cli, questions } = await stoppedCli(['bob', 'alice-pass', 'alice', 'alice-pass']);
+    cli.operator = { name: 'Alice', role: 'operator' };
+    await assert.rejects(cli.reset(), /Wrong operator or passphrase/);
+
+    const result = await cli.reset();
+    assert.strictEqual(result.resetBy, 'Alice');
+    assert.strictEqual(questions.length, 4);
+    assert.strictEqual(cli.link.isStopLatched(), false);
+    assert.strictEqual(cli.settings.lastReset.by, 'Alice');
+    assert.strictEqual(JSON.parse(localStorage.getItem('roboticArmCli')).lastReset.by, 'Alice');
+    await cli.link.close();
+});
+
+test('refuses poses with unknown joints or angles out of range', () => {
+    assert.deepStrictEqual(ArmCli.parsePose(['base=90', 'claw=closed']), { base: 90, claw: 20 });
+    assert.throws(() => ArmCli.parsePose(['elbow=90']), /Expected joint=angle/);
+    assert.throws(() => ArmCli.parsePose(['constructor=90']), /Expected joint=angle/);
+    assert.throws(() => ArmCli.parsePose(['mid=181']), /mid must be between 0 and 180/);
+    assert.throws(() => ArmCli.parsePose([]), /Nothing to move/);
+});
\ No newline at end of file
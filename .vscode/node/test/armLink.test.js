@@ -0,0 +1,302 @@
+/**
+ * ArmLink against the simulated arm (MockSerialTransport): command queue, acks,
+ * retries and the latched emergency stop
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser scripts share globals; ArmLink and the simulated arm expect ArmProtocol to be one
+const ArmProtocol = global.ArmProtocol = require('../../armProtocol.js');
+const ArmLink = require('../../armLink.js');
+const ArmMotion = require('../../armMotion.js');
+const JointCalibration = require('../../calibration.js');
+const TrajectoryPlanner = require('../../trajectory.js');
+const { MockSerialTransport } = require('../../transports.js');
+
+/**
+ * localStorage for the link's latched stop, emptied before each test
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const quietLogger = { log() {}, warn() {}, error() {} };
+
+/**
+ * Connect a link to a simulated arm running 100x faster than the real one
+ * Every line written to the arm is recorded in transport.written
+ */
+async function connect(options = {}) {
+    const transport = new MockSerialTransport({ timeScale: 0.01, ...options });
+    transport.written = [];
+    const write = transport.write.bind(transport);
+    transport.write = (text) => {
+        transport.written.push(text.trim());
+        return write(text);
+    };
+
+    const link = new ArmLink();
+    link.logger = quietLogger;
+    link.handshakeTimeout = 50;
+    await link.open(transport, { name: 'simulated' });
+    return { link, transport };
+}
+
+/**
+ * Record the events a link emits, by name
+ */
+function record(link, ...names) {
+    const events = [];
+    names.forEach(name => link.on(name, detail => events.push({ name, ...detail })));
+    return events;
+}
+
+test.beforeEach(() => {
+    global.localStorage = new MemoryStorage();
+});
+
+test('handshakes with the current sketch and frames commands', async () => {
+    const { link, transport } = await connect();
+
+    assert.strictEqual(link.protocol, ArmProtocol.PROTOCOL_VERSION);
+    assert.strictEqual(link.getArmInfo().firmware, transport.firmware);
+
+    await link.sendImmediate('B:90');
+    assert.match(transport.written[transport.written.length - 1], /^#\d+\|B:90\*[0-9A-F]{2}$/);
+    await link.close();
+});
+
+test('falls back to plain commands for a legacy sketch', async () => {
+    const { link, transport } = await connect({ legacy: true });
+
+    assert.strictEqual(link.protocol, 'legacy');
+    assert.strictEqual(link.getArmInfo(), null);
+
+    await link.sendImmediate('B:90');
+    assert.strictEqual(transport.written[transport.written.length - 1], 'B:90');
+    await link.close();
+});
+
+test('moves a legacy sketch joint by joint, even with a synchronized profile', async () => {
+    const { link, transport } = await connect({ legacy: true });
+    const motion = new ArmMotion(link, new TrajectoryPlanner({ profile: 'trapezoid' }));
+
+    assert.strictEqual(link.supports('W'), false);
+    await motion.moveToPose({ base: 100, mid: 80, claw: ArmProtocol.CLAW_CLOSED });
+
+    assert.ok(!transport.written.some(line => line.startsWith('W:')));
+    assert.deepStrictEqual(transport.getServoPositions(), { base: 100, mid: 80, near: 45, claw: ArmProtocol.CLAW_CLOSED });
+    await link.close();
+});
+
+test('sends queued commands one at a time, in order', async () => {
+    const { link, transport } = await connect();
+    const events = record(link, 'commandSent', 'commandAcked');
+
+    const acks = await Promise.all([
+        link.sendImmediate('B:100'),
+        link.sendImmediate('M:80'),
+        link.sendImmediate('N:60')
+    ]);
+
+    assert.deepStrictEqual(acks.map(ack => ack.joint), ['base', 'mid', 'near']);
+    // Each command is acked before the next one is sent
+    assert.deepStrictEqual(events.map(event => `${event.name} ${event.command}`), [
+        'commandSent B:100', 'commandAcked B:100',
+        'commandSent M:80', 'commandAcked M:80',
+        'commandSent N:60', 'commandAcked N:60'
+    ]);
+    assert.deepStrictEqual(transport.getServoPositions(), { base: 100, mid: 80, near: 60, claw: 0 });
+    await link.close();
+});
+
+test('queued commands with the same key replace each other', async () => {
+    const { link, transport } = await connect();
+
+    const first = link.sendImmediate('B:120');
+    const stale = link.enqueueCommand('M:10', 'mid');
+    const latest = link.enqueueCommand('M:30', 'mid');
+    await Promise.all([first, stale, latest]);
+
+    assert.strictEqual(stale, latest);
+    assert.ok(!transport.written.some(line => line.includes('M:10')));
+    assert.strictEqual(transport.getServoPositions().mid, 30);
+    await link.close();
+});
+
+test('acks confirm the angle the page asked for, not the calibrated one', async () => {
+    const { link, transport } = await connect();
+    link.setCalibration(new JointCalibration({ base: { offset: 10 }, claw: { invert: true } }));
+
+    await link.sendImmediate('B:90');
+    // Inverted, the closed claw is sent as C:0, which the sketch acks as "Claw OPEN"
+    await link.sendImmediate(`C:${ArmProtocol.CLAW_CLOSED}`);
+
+    assert.strictEqual(transport.getServoPositions().base, 100);
+    assert.strictEqual(transport.getServoPositions().claw, ArmProtocol.CLAW_OPEN);
+    assert.deepStrictEqual(link.getConfirmedPositions(), { base: 90, claw: ArmProtocol.CLAW_CLOSED });
+    await link.close();
+});
+
+test('refuses angles outside the calibrated limits without sending them', async () => {
+    const { link, transport } = await connect();
+    link.setCalibration(new JointCalibration({ base: { min: 20, max: 160 } }));
+    const events = record(link, 'commandRejected');
+    const sent = transport.written.length;
+
+    await assert.rejects(link.sendImmediate('B:170'), /outside the calibrated range/);
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(transport.written.length, sent);
+    await link.close();
+});
+
+test('resends a command that is not acked in time', async () => {
+    const { link, transport } = await connect();
+    link.setAckTimeout(100);
+    // Lose the first copy of the command, as a glitch on the line would
+    const write = transport.write;
+    let dropped = 0;
+    transport.write = (text) => text.includes('N:70') && dropped++ === 0 ? Promise.resolve() : write(text);
+    const events = record(link, 'commandSent');
+
+    await link.sendImmediate('N:70');
+
+    assert.deepStrictEqual(events.map(event => event.attempt), [1, 2]);
+    assert.strictEqual(transport.getServoPositions().near, 70);
+    await link.close();
+});
+
+test('gives up after maxRetries resends', async () => {
+    const { link, transport } = await connect();
+    link.setAckTimeout(50);
+    link.setMaxRetries(2);
+    transport.write = () => Promise.resolve();
+    const events = record(link, 'commandSent', 'commandFailed');
+
+    await assert.rejects(link.sendImmediate('B:45'), /No ack for .*B:45.* after 3 attempts/);
+    assert.deepStrictEqual(events.map(event => event.name),
+        ['commandSent', 'commandSent', 'commandSent', 'commandFailed']);
+    await link.close();
+});
+
+test('resends straight away when the firmware rejects a frame', async () => {
+    const { link, transport } = await connect();
+    // Garble the first copy of the command so its checksum no longer matches
+    const write = transport.write;
+    let garbled = 0;
+    transport.write = (text) => write(text.includes('M:120') && garbled++ === 0 ? text.replace('M:120', 'M:121') : text);
+
+    await link.sendImmediate('M:120');
+
+    const frames = transport.written.filter(line => /M:12[01]/.test(line));
+    assert.strictEqual(frames.length, 2);
+    assert.strictEqual(ArmProtocol.unframe(frames[0]), null);
+    // The resend keeps the sequence number
+    assert.strictEqual(frames[1].split('|')[0], frames[0].split('|')[0]);
+    assert.strictEqual(transport.getServoPositions().mid, 120);
+    await link.close();
+});
+
+test('streams waypoints without pausing for each ack round trip', async () => {
+    const { link, transport } = await connect({ timeScale: 0.2 });
+    // Replies take a while to come back, as they do over USB
+    const deliver = transport.onData;
+    transport.onData = (text) => setTimeout(() => deliver(text), 10);
+    // Whether the next waypoint had been read ahead by the time each one finished
+    const readAhead = [];
+    const moveTogether = transport.moveTogether.bind(transport);
+    transport.moveTogether = async (...args) => {
+        const reached = await moveTogether(...args);
+        readAhead.push(transport.nextLine !== null);
+        return reached;
+    };
+
+    const waypoints = [100, 110, 120, 130].map(base => ({ pose: { base, mid: 95, near: 45, claw: 0 }, duration: 100 }));
+    assert.ok(await link.streamTrajectory({ waypoints }));
+
+    assert.deepStrictEqual(readAhead, [true, true, true, false]);
+    assert.strictEqual(transport.getServoPositions().base, 130);
+    await link.close();
+});
+
+test('emergency stop cancels queued commands and latches until reset', async () => {
+    const { link, transport } = await connect();
+    const events = record(link, 'stopLatched', 'stopCleared');
+
+    const moving = link.sendImmediate('B:170');
+    const queued = link.sendImmediate('M:20');
+    await link.emergencyStop();
+
+    await assert.rejects(moving, /Cancelled by emergency stop/);
+    await assert.rejects(queued, /Cancelled by emergency stop/);
+    assert.ok(link.isStopLatched());
+    assert.notStrictEqual(transport.getServoPositions().base, 170);
+    await assert.rejects(link.sendImmediate('B:90'), /emergency stop is latched/);
+
+    // Wait for the sketch's own latch
+    while (!transport.stopped) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    await link.resetEmergencyStop();
+    assert.ok(!link.isStopLatched());
+    assert.ok(!transport.stopped);
+    await link.sendImmediate('B:90');
+    assert.strictEqual(transport.getServoPositions().base, 90);
+
+    assert.deepStrictEqual(events.map(event => event.name), ['stopLatched', 'stopCleared']);
+    await link.close();
+});
+
+test('a latched stop survives a new link (page reload)', async () => {
+    const first = await connect();
+    await first.link.emergencyStop();
+    await first.link.close();
+
+    const link = new ArmLink();
+    link.logger = quietLogger;
+    assert.ok(link.isStopLatched());
+    await assert.rejects(link.enqueueCommand('B:90'), /emergency stop is latched/);
+});
+
+test('latches when the arm was already stopped before connecting', async () => {
+    const transport = new MockSerialTransport({ timeScale: 0.01 });
+    transport.stopped = true;
+    const link = new ArmLink();
+    link.logger = quietLogger;
+    const events = record(link, 'stopLatched');
+
+    await link.open(transport, { name: 'simulated' });
+
+    assert.ok(link.isStopLatched());
+    assert.strictEqual(events.length, 1);
+    await link.close();
+});
+
+test('disconnecting rejects everything still queued', async () => {
+    const { link } = await connect();
+
+    const moving = link.sendImmediate('B:10');
+    const queued = link.sendImmediate('M:170');
+    await link.close();
+
+    await assert.rejects(moving, /Disconnected/);
+    await assert.rejects(queued, /Disconnected/);
+    await assert.rejects(link.sendImmediate('B:90'), /Failed to send/);
+});
\ No newline at end of file
@@ -0,0 +1,67 @@
+/**
+ * ArmProtocol: framing and checksums, the HELLO handshake reply and waypoint commands
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ArmProtocol = require('../../armProtocol.js');
+
+test('frames a command with its sequence number and checksum', () => {
+    const line = ArmProtocol.frame(7, 'B:90');
+
+    assert.match(line, /^#7\|B:90\*[0-9A-F]{2}$/);
+    assert.strictEqual(line.slice(-2), ArmProtocol.checksum('7|B:90'));
+    assert.deepStrictEqual(ArmProtocol.unframe(line), { seq: 7, body: 'B:90' });
+    // Surrounding whitespace and a lower-case checksum are accepted
+    assert.deepStrictEqual(ArmProtocol.unframe(` ${line.slice(0, -2)}${line.slice(-2).toLowerCase()}\r\n`), { seq: 7, body: 'B:90' });
+});
+
+test('rejects lines that are malformed or fail the checksum', () => {
+    const line = ArmProtocol.frame(7, 'B:90');
+
+    assert.strictEqual(ArmProtocol.unframe(line.replace('B:90', 'B:91')), null);
+    assert.strictEqual(ArmProtocol.unframe('B:90'), null);
+    assert.strictEqual(ArmProtocol.unframe('#x|B:90*00'), null);
+    assert.strictEqual(ArmProtocol.unframe('#7|B:90'), null);
+});
+
+test('parses the firmware\'s HELLO reply', () => {
+    const hello = ArmProtocol.parseHello('HELLO 2 fw=1.4.0 joints=B:0-180,M:10-170,N:0-180,C:0-20 caps=W,Q stopped=1');
+
+    assert.deepStrictEqual(hello, {
+        protocol: 2,
+        firmware: '1.4.0',
+        joints: {
+            base: { min: 0, max: 180 },
+            mid: { min: 10, max: 170 },
+            near: { min: 0, max: 180 },
+            claw: { min: 0, max: 20 }
+        },
+        capabilities: ['W', 'Q'],
+        stopped: true
+    });
+    assert.deepStrictEqual(ArmProtocol.parseHello(ArmProtocol.formatHello(hello)), hello);
+});
+
+test('reads a HELLO reply without optional fields, and nothing else', () => {
+    assert.deepStrictEqual(ArmProtocol.parseHello('HELLO 3'), {
+        protocol: 3, firmware: 'unknown', joints: {}, capabilities: [], stopped: false
+    });
+    assert.strictEqual(ArmProtocol.parseHello('Arduino ready'), null);
+    assert.strictEqual(ArmProtocol.parseHello('HELLO two'), null);
+});
+
+test('formats and parses waypoint commands', () => {
+    const command = ArmProtocol.formatWaypoint({ base: 90.4, mid: 100, near: 45, claw: 20 }, 120.6);
+
+    assert.strictEqual(command, 'W:90,100,45,20,121');
+    assert.deepStrictEqual(ArmProtocol.parseWaypoint(command), {
+        pose: { base: 90, mid: 100, near: 45, claw: 20 },
+        duration: 121
+    });
+    assert.strictEqual(ArmProtocol.parseWaypoint('W:90,100,45,100'), null);
+    assert.strictEqual(ArmProtocol.parseWaypoint('B:90'), null);
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+/**
+ * JointCalibration.toWire(): limits, offsets and inversion, and the angles it refuses
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser scripts share globals; JointCalibration expects ArmProtocol to be one
+global.ArmProtocol = require('../../armProtocol.js');
+const JointCalibration = require('../../calibration.js');
+
+test('passes commands through unchanged with the default calibration', () => {
+    const calibration = new JointCalibration();
+
+    assert.strictEqual(calibration.toWire('B:90'), 'B:90');
+    assert.strictEqual(calibration.toWire('C:0'), 'C:0');
+    assert.strictEqual(calibration.toWire('W:10,20,30,5,100'), 'W:10,20,30,5,100');
+    assert.strictEqual(calibration.toWire('STOP:0'), 'STOP:0');
+});
+
+test('applies offsets and inversion to single joints and waypoints', () => {
+    const calibration = new JointCalibration({
+        base: { offset: -5, invert: true },
+        claw: { offset: 1 }
+    });
+
+    assert.strictEqual(calibration.toWire('B:90'), 'B:85');
+    assert.strictEqual(calibration.toWire('B:20'), 'B:155');
+    assert.strictEqual(calibration.toWire('C:5'), 'C:6');
+    assert.strictEqual(calibration.toWire('W:90,90,90,3,100'), 'W:85,90,90,4,100');
+});
+
+test('refuses angles outside the calibrated limits', () => {
+    const calibration = new JointCalibration({ mid: { min: 30, max: 150 } });
+
+    assert.throws(() => calibration.toWire('M:20'), /mid 20° is outside the calibrated range 30-150°/);
+    assert.throws(() => calibration.toWire('W:90,160,90,0,100'), /mid 160°/);
+    assert.strictEqual(calibration.toWire('M:30'), 'M:30');
+});
+
+test('refuses an offset angle past the servo\'s range rather than clamping it', () => {
+    const calibration = new JointCalibration({ base: { offset: 10 } });
+
+    assert.throws(() => calibration.toWire('B:175'), /base 175° would be servo angle 185° with offset 10°/);
+    assert.throws(() => calibration.toWire('W:175,90,90,0,100'), /servo angle 185°/);
+});
+
+test('refuses a claw angle that would be sent as the C:1 "close" shorthand', () => {
+    const calibration = new JointCalibration({ claw: { offset: 1 } });
+
+    assert.throws(() => calibration.toWire('C:0'), /would be sent as C:1/);
+    assert.strictEqual(new JointCalibration().toWire('C:2'), 'C:2');
+});
\ No newline at end of file
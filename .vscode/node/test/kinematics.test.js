@@ -0,0 +1,44 @@
+/**
+ * ArmKinematics: inverse() undoes forward(), and unreachable targets are refused
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const ArmKinematics = require('../../kinematics.js');
+
+test('inverse() finds the servo angles forward() started from', () => {
+    const kinematics = new ArmKinematics();
+    const poses = [
+        { base: 90, mid: 45, near: 120 },
+        { base: 30, mid: 80, near: 90 },
+        { base: 150, mid: 20, near: 150 },
+        { base: 90, mid: 90, near: 180 }
+    ];
+
+    poses.forEach(pose => {
+        const { x, y, z } = kinematics.forward(pose);
+        assert.deepStrictEqual(kinematics.inverse({ x, y, z }), pose);
+    });
+});
+
+test('forward() puts a straight, level arm at full reach in front of the base', () => {
+    const kinematics = new ArmKinematics();
+    const { upperArm, forearm, baseHeight } = kinematics.getConfig();
+    const tip = kinematics.forward({ base: 90, mid: 0, near: 180 });
+
+    assert.ok(Math.abs(tip.x - (upperArm + forearm)) < 1e-9);
+    assert.ok(Math.abs(tip.y) < 1e-9);
+    assert.ok(Math.abs(tip.z - baseHeight) < 1e-9);
+    assert.ok(Math.abs(tip.elbow.reach - upperArm) < 1e-9);
+});
+
+test('inverse() explains why a target can\'t be reached', () => {
+    const kinematics = new ArmKinematics();
+
+    assert.throws(() => kinematics.inverse({ x: 500, y: 0, z: 70 }), /max reach is 200 mm/);
+    assert.throws(() => kinematics.inverse({ x: 0, y: 0, z: 70 }), /too close to the shoulder/);
+    assert.throws(() => kinematics.inverse({ x: -100, y: -10, z: 70 }), /needs base at -84°/);
+});
\ No newline at end of file
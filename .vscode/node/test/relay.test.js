@@ -0,0 +1,131 @@
+/**
+ * Relay unlocks: a page needs the operator's relay passphrase, and the role
+ * comes from the relay's operators file
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+// The browser scripts share globals; the simulated arm expects ArmProtocol to be one
+global.ArmProtocol = require('../../armProtocol.js');
+const ArmRelay = require('../relay.js');
+const Operators = require('../operators.js');
+const { MockSerialTransport } = require('../../transports.js');
+
+const TOKEN = 'test-token';
+
+/**
+ * Relay on a free local port with a simulated arm and two operators
+ */
+async function startRelay() {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'relay-test-')), 'operators.json');
+    const operators = new Operators(file);
+    operators.iterations = 1000; // Fast hashes for tests
+    await operators.add('Alice', 'operator', 'alice-pass');
+    await operators.add('Olive', 'observer', 'olive-pass');
+
+    const relay = new ArmRelay(new MockSerialTransport({ timeScale: 0.01 }), { token: TOKEN, operators });
+    const log = console.log;
+    console.log = () => {};
+    await relay.open();
+    relay.listen({ host: '127.0.0.1', port: 0 });
+    await new Promise(resolve => relay.server.once('listening', resolve));
+    return {
+        relay,
+        port: relay.server.address().port,
+        async stop() {
+            // Quiet until the relay has logged the pages going away
+            await Promise.all([...relay.sessions].map(({ socket }) => new Promise(resolve => {
+                if (socket.readyState === WebSocket.CLOSED) {
+                    resolve();
+                    return;
+                }
+                socket.once('close', resolve);
+                socket.terminate();
+            })));
+            await new Promise(resolve => relay.server.close(resolve));
+            await relay.transport.close();
+            console.log = log;
+        }
+    };
+}
+
+/**
+ * Connected, welcomed page; next(predicate) resolves with the next matching message
+ */
+async function connectPage(port) {
+    const socket = new WebSocket(`ws://127.0.0.1:${port}`);
+    const messages = [];
+    const waiters = [];
+    socket.on('message', (data) => {
+        const message = JSON.parse(data);
+        messages.push(message);
+        waiters.slice().forEach(waiter => {
+            if (waiter.predicate(message)) {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(message);
+            }
+        });
+    });
+    const next = predicate => new Promise(resolve => waiters.push({ predicate, resolve }));
+
+    await new Promise(resolve => socket.once('open', resolve));
+    const welcome = next(message => message.type === 'welcome');
+    socket.send(JSON.stringify({ type: 'hello', token: TOKEN }));
+    await welcome;
+
+    const unlock = (name, passphrase, role) => {
+        const reply = next(message => message.type === 'control');
+        socket.send(JSON.stringify({ type: 'unlock', operator: { name, role }, passphrase }));
+        return reply;
+    };
+    return { socket, messages, next, unlock };
+}
+
+test('an unlock needs the operator\'s relay passphrase', async () => {
+    const { port, stop } = await startRelay();
+    const page = await connectPage(port);
+
+    const refused = await page.unlock('alice', 'guess');
+    assert.strictEqual(refused.mine, false);
+    assert.match(refused.refused, /wrong relay passphrase/);
+
+    const granted = await page.unlock('alice', 'alice-pass');
+    assert.strictEqual(granted.mine, true);
+    assert.strictEqual(granted.holder, 'Alice');
+    assert.strictEqual(granted.refused, null);
+    await stop();
+});
+
+test('the role comes from the operators file, not the page', async () => {
+    const { port, stop } = await startRelay();
+    const page = await connectPage(port);
+
+    const control = await page.unlock('olive', 'olive-pass', 'operator');
+    assert.strictEqual(control.mine, false);
+    assert.strictEqual(control.holder, null);
+
+    const rejected = page.next(message => message.type === 'rejected');
+    page.socket.send(JSON.stringify({ type: 'write', text: 'B:90' }));
+    assert.match((await rejected).reason, /take motion control first/);
+    await stop();
+});
+
+test('disconnects a page after too many wrong passphrases', async () => {
+    const { relay, port, stop } = await startRelay();
+    const page = await connectPage(port);
+    const closed = new Promise(resolve => page.socket.once('close', code => resolve(code)));
+
+    for (let i = 0; i < relay.maxUnlockFailures; i++) {
+        await page.unlock('alice', `guess ${i}`);
+    }
+
+    assert.strictEqual(await closed, 4003);
+    await stop();
+});
@@ -0,0 +1,38 @@
+/**
+ * ScriptConsole.checkPose(): the page's check of every pose a script's worker asks for
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser scripts share globals; the script console expects ArmProtocol and ArmMotion to be
+global.ArmProtocol = require('../../armProtocol.js');
+global.ArmMotion = require('../../armMotion.js');
+const ScriptConsole = require('../../scriptConsole.js');
+
+test('accepts known joints with angles in range', () => {
+    assert.deepStrictEqual(ScriptConsole.checkPose({ base: 0, mid: 180, near: 45.5 }), { base: 0, mid: 180, near: 45.5 });
+    assert.deepStrictEqual(ScriptConsole.checkPose({ claw: ArmProtocol.CLAW_CLOSED }), { claw: 20 });
+});
+
+test('refuses anything that isn\'t a pose', () => {
+    [null, 90, 'base', [90, 100]].forEach(pose => {
+        assert.throws(() => ScriptConsole.checkPose(pose), /moveTo\(\) needs a pose/);
+    });
+    assert.throws(() => ScriptConsole.checkPose({}), /at least one joint/);
+});
+
+test('refuses unknown joints, including inherited property names', () => {
+    assert.throws(() => ScriptConsole.checkPose({ elbow: 90 }), /Unknown joint "elbow"/);
+    assert.throws(() => ScriptConsole.checkPose({ constructor: 90 }), /Unknown joint "constructor"/);
+    assert.throws(() => ScriptConsole.checkPose(JSON.parse('{"__proto__": 90}')), /Unknown joint "__proto__"/);
+});
+
+test('refuses angles out of range or not numbers', () => {
+    assert.throws(() => ScriptConsole.checkPose({ base: 181 }), /base must be between 0 and 180/);
+    assert.throws(() => ScriptConsole.checkPose({ claw: -1 }), /claw must be between 0 and 20/);
+    assert.throws(() => ScriptConsole.checkPose({ mid: '90' }), /mid must be between/);
+    assert.throws(() => ScriptConsole.checkPose({ near: NaN }), /near must be between/);
+});
\ No newline at end of file
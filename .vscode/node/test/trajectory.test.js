@@ -0,0 +1,73 @@
+/**
+ * TrajectoryPlanner: profile timing, and synchronized waypoints that end on the target
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const TrajectoryPlanner = require('../../trajectory.js');
+
+const HOME = { base: 90, mid: 95, near: 45, claw: 0 };
+
+function assertClose(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} is not ${expected}`);
+}
+
+test('a long trapezoid move ramps, cruises at full speed and ramps down', () => {
+    const planner = new TrajectoryPlanner({ profile: 'trapezoid', maxSpeed: 90, acceleration: 180 });
+    const timing = planner.profileTiming(180);
+
+    assert.strictEqual(timing.speed, 90);
+    assertClose(timing.ramp, 500, 'ramp');
+    assertClose(timing.cruise, 1500, 'cruise');
+    assertClose(timing.total, 2500, 'total');
+    assertClose(planner.positionAt(0, timing), 0, 'start');
+    assertClose(planner.positionAt(timing.total / 2, timing), 90, 'halfway');
+    assertClose(planner.positionAt(timing.total, timing), 180, 'end');
+});
+
+test('a short move never reaches full speed', () => {
+    const planner = new TrajectoryPlanner({ profile: 'trapezoid', maxSpeed: 90, acceleration: 180 });
+    const timing = planner.profileTiming(20);
+
+    assertClose(timing.speed, 60, 'peak speed');
+    assertClose(timing.cruise, 0, 'cruise');
+    assertClose(timing.total, 2 * timing.ramp, 'total');
+});
+
+test('an S-curve takes longer than a trapezoid over the same distance', () => {
+    const trapezoid = new TrajectoryPlanner({ profile: 'trapezoid' }).profileTiming(180);
+    const planner = new TrajectoryPlanner({ profile: 's-curve' });
+    const timing = planner.profileTiming(180);
+
+    assertClose(timing.ramp, Math.PI / 2 * 500, 'ramp');
+    assert.ok(timing.total > trapezoid.total);
+    assertClose(planner.positionAt(timing.total, timing), 180, 'end');
+});
+
+test('plans waypoints that move every joint together and end on the target', () => {
+    const planner = new TrajectoryPlanner({ profile: 'trapezoid', maxSpeed: 90, acceleration: 180, interval: 100 });
+    const target = { base: 150, mid: 65, near: 45, claw: 20 };
+    const { duration, waypoints } = planner.plan(HOME, target);
+
+    assert.strictEqual(duration, Math.round(planner.profileTiming(60).total));
+    assert.deepStrictEqual(waypoints[waypoints.length - 1].pose, target);
+    assert.strictEqual(waypoints.reduce((sum, waypoint) => sum + waypoint.duration, 0), duration);
+    waypoints.forEach(waypoint => assert.ok(waypoint.duration <= 100));
+
+    // Each joint covers the same share of its move at every waypoint
+    waypoints.forEach(({ pose }) => {
+        const baseShare = (pose.base - HOME.base) / (target.base - HOME.base);
+        const midShare = (pose.mid - HOME.mid) / (target.mid - HOME.mid);
+        assert.ok(Math.abs(baseShare - midShare) < 0.05);
+        assert.strictEqual(pose.near, HOME.near);
+    });
+});
+
+test('plans nothing for a move that is already there', () => {
+    const planner = new TrajectoryPlanner();
+
+    assert.deepStrictEqual(planner.plan(HOME, { base: 90, mid: 95 }), { duration: 0, waypoints: [] });
+});
\ No newline at end of file
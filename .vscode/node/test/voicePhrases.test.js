@@ -0,0 +1,122 @@
+/**
+ * Spoken phrases: VoiceCommander.parsePhrase() for arm commands, and
+ * VoiceChallenge.normalize() / verify() for the liveness challenge
+ *
+ *   npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// The browser scripts share globals; VoiceCommander expects ArmProtocol to be one
+global.ArmProtocol = require('../../armProtocol.js');
+const VoiceCommander = require('../../voiceCommands.js');
+const VoiceChallenge = require('../../voiceChallenge.js');
+
+/**
+ * localStorage for the challenge's recent attempts, emptied for each challenge
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+/**
+ * A commander without its page: parsePhrase() only needs the default step
+ */
+function commander() {
+    return Object.assign(Object.create(VoiceCommander.prototype), { defaultStep: 10 });
+}
+
+function cosineSimilarity(a, b) {
+    const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+    return dot / (Math.hypot(...a) * Math.hypot(...b));
+}
+
+/**
+ * A challenge with a known phrase, as if issue() had just shown it
+ */
+function challenge(kind, text, expected) {
+    global.localStorage = new MemoryStorage();
+    const voiceChallenge = new VoiceChallenge(cosineSimilarity);
+    voiceChallenge.current = { kind, text, expected, issuedAt: Date.now() };
+    return voiceChallenge;
+}
+
+test('parses stop, home and claw phrases', () => {
+    const parse = phrase => commander().parsePhrase(phrase);
+
+    assert.deepStrictEqual(parse('Stop!'), { type: 'stop' });
+    assert.deepStrictEqual(parse('go home'), { type: 'home' });
+    assert.deepStrictEqual(parse('open the claw'), { type: 'absolute', joint: 'claw', angle: ArmProtocol.CLAW_OPEN });
+    assert.deepStrictEqual(parse('grab with the gripper'), { type: 'absolute', joint: 'claw', angle: ArmProtocol.CLAW_CLOSED });
+});
+
+test('parses absolute and relative joint moves, in digits or words', () => {
+    const parse = phrase => commander().parsePhrase(phrase);
+
+    assert.deepStrictEqual(parse('base 90'), { type: 'absolute', joint: 'base', angle: 90 });
+    assert.deepStrictEqual(parse('middle to one hundred twenty'), { type: 'absolute', joint: 'mid', angle: 120 });
+    assert.deepStrictEqual(parse('base left 20'), { type: 'relative', joint: 'base', delta: 20 });
+    assert.deepStrictEqual(parse('near down'), { type: 'relative', joint: 'near', delta: -10 });
+    assert.deepStrictEqual(parse('mid up fifteen'), { type: 'relative', joint: 'mid', delta: 15 });
+});
+
+test('ignores phrases that aren\'t commands', () => {
+    const parse = phrase => commander().parsePhrase(phrase);
+
+    assert.strictEqual(parse('hello there'), null);
+    assert.strictEqual(parse('base'), null);
+    assert.strictEqual(parse('constructor 90'), null);
+});
+
+test('normalizes transcripts to the challenge\'s form', () => {
+    const voiceChallenge = challenge('digits', '4 7 2 9 1', '47291');
+
+    assert.strictEqual(voiceChallenge.normalize('four 7 2, nine 1', 'digits'), '47291');
+    assert.strictEqual(voiceChallenge.normalize('Oh for two too', 'digits'), '0422');
+    assert.strictEqual(voiceChallenge.normalize('Amber, River  TIGER.', 'words'), 'amber river tiger');
+});
+
+test('passes a challenge answered with a lower-ranked alternative', () => {
+    const voiceChallenge = challenge('digits', '4 7 2 9 1', '47291');
+    const result = voiceChallenge.verify([['for seven'], ['to', 'two'], ['nine one']], [1, 0, 0]);
+
+    assert.deepStrictEqual(result, { passed: true, reason: null, transcript: 'for seven to nine one' });
+    assert.strictEqual(voiceChallenge.current, null);
+});
+
+test('fails a wrong, late or missing answer', () => {
+    let voiceChallenge = challenge('words', 'amber river tiger', 'amber river tiger');
+    let result = voiceChallenge.verify([['amber river tiger lily']], [1, 0, 0]);
+    assert.strictEqual(result.passed, false);
+    assert.match(result.reason, /heard "amber river tiger lily" instead of "amber river tiger"/);
+
+    voiceChallenge = challenge('words', 'amber river tiger', 'amber river tiger');
+    voiceChallenge.current.issuedAt -= voiceChallenge.validFor + 1;
+    assert.strictEqual(voiceChallenge.verify([['amber river tiger']], [1, 0, 0]).reason, 'the challenge expired');
+
+    // Each challenge answers once
+    assert.strictEqual(voiceChallenge.verify([['amber river tiger']], [0, 1, 0]).reason, 'no challenge was issued');
+});
+
+test('fails an answer whose audio matches an earlier attempt', () => {
+    const voiceChallenge = challenge('words', 'amber river tiger', 'amber river tiger');
+    voiceChallenge.remember([0.6, 0.8, 0]);
+
+    const result = voiceChallenge.verify([['amber river tiger']], [0.6, 0.8, 0.0001]);
+    assert.deepStrictEqual(result, { passed: false, reason: 'audio matches an earlier attempt (replay)', transcript: '' });
+});
\ No newline at end of file
@@ -0,0 +1,364 @@
+/**
+ * Script Console Module
+ * Runs short JavaScript routines against a restricted arm API (moveTo, openClaw, closeClaw,
+ * wait, home, repeat) in a worker; each call is checked here and performed through the
+ * controller, or only logged in a dry run
+ */
+
+class ScriptConsole {
+    constructor(controller) {
+        this.controller = controller;
+        this.storageKey = 'roboticArmScript';
+        this.enabled = false;          // Real runs: motion allowed
+        this.dryRunEnabled = false;    // Dry runs: unlocked, and not an observer
+        this.activeRun = null;         // { worker, dryRun, steps, pose, queue }
+        this.waitTimer = null;
+        this.waitResolve = null;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.load();
+        this.updateButtons();
+    }
+
+    static get EXAMPLE() {
+        return [
+            '// Pick something up on the left and put it down on the right',
+            'await arm.home();',
+            'await arm.repeat(2, async (i) => {',
+            '    await arm.moveTo({ base: 40, mid: 110, near: 60 });',
+            '    await arm.closeClaw();',
+            '    await arm.moveTo({ base: 140 });',
+            '    await arm.openClaw();',
+            '    await arm.wait(500);',
+            '});',
+            'await arm.home();'
+        ].join('\n');
+    }
+
+    initElements() {
+        this.editor = document.getElementById('scriptEditor');
+        this.runBtn = document.getElementById('runScript');
+        this.dryRunBtn = document.getElementById('dryRunScript');
+        this.abortBtn = document.getElementById('abortScript');
+        this.stepList = document.getElementById('scriptSteps');
+        this.scriptStatus = document.getElementById('scriptStatus');
+    }
+
+    attachEventListeners() {
+        this.runBtn.addEventListener('click', () => this.start(false));
+        this.dryRunBtn.addEventListener('click', () => this.start(true));
+        this.abortBtn.addEventListener('click', () => this.abort('Aborted'));
+    }
+
+    load() {
+        const saved = localStorage.getItem(this.storageKey);
+        this.editor.value = saved !== null ? saved : ScriptConsole.EXAMPLE;
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, this.editor.value);
+    }
+
+    /**
+     * Start the routine in the editor; a dry run checks and logs every command without sending any
+     */
+    start(dryRun) {
+        if (this.activeRun || !(dryRun ? this.dryRunEnabled : this.enabled)) {
+            return;
+        }
+        this.save();
+
+        let worker;
+        try {
+            worker = new Worker('scriptWorker.js');
+        } catch (error) {
+            // e.g. the page was opened from file://
+            this.showStatus(`❌ Scripts can't run here: ${error.message}`, '#dc3545');
+            return;
+        }
+
+        const run = {
+            worker,
+            dryRun,
+            steps: 0,
+            pose: this.controller.getCommandedPose(),  // Where a dry run's arm would be
+            queue: Promise.resolve()                   // Calls are performed one at a time, in order
+        };
+        this.activeRun = run;
+        worker.onmessage = (event) => this.handleMessage(run, event.data);
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.finish(run, 'failed', event.message || 'Script could not start');
+        };
+
+        this.stepList.innerHTML = '';
+        this.editor.readOnly = true;
+        this.updateButtons();
+        this.showStatus(dryRun ? '🧪 Dry run - commands are logged, not sent' : '▶ Running script...', '#667eea');
+        worker.postMessage({ type: 'run', source: this.editor.value });
+    }
+
+    handleMessage(run, message) {
+        if (run !== this.activeRun) {
+            return;
+        }
+
+        if (message.type === 'call') {
+            run.queue = run.queue
+                .then(() => this.perform(run, message))
+                .then(() => {
+                    if (run === this.activeRun) {
+                        run.worker.postMessage({ type: 'result', id: message.id });
+                    }
+                })
+                .catch(error => this.finish(run, 'failed', `${this.atLine(message.line)}${error.message}`));
+        } else if (message.type === 'done') {
+            run.queue.then(() => this.finish(run, 'finished', run.dryRun
+                ? `Dry run finished - ${run.steps} step(s) logged, nothing sent`
+                : `Script finished (${run.steps} steps)`));
+        } else if (message.type === 'failed') {
+            this.finish(run, 'failed', `${this.atLine(message.line)}${message.message}`);
+        }
+    }
+
+    /**
+     * Check one arm call from the routine, then carry it out (or log it in a dry run)
+     * The worker is not trusted: names and arguments are checked here
+     */
+    async perform(run, { name, args, line }) {
+        if (run !== this.activeRun) {
+            throw new Error('Script stopped');
+        }
+        if (!Array.isArray(args)) {
+            throw new Error('Malformed call');
+        }
+
+        switch (name) {
+            case 'moveTo': {
+                const pose = ScriptConsole.checkPose(args[0]);
+                return this.move(run, line, `moveTo ${this.formatPose(pose)}`, pose);
+            }
+            case 'openClaw':
+                return this.move(run, line, 'openClaw', { claw: ArmProtocol.CLAW_OPEN });
+            case 'closeClaw':
+                return this.move(run, line, 'closeClaw', { claw: ArmProtocol.CLAW_CLOSED });
+            case 'home':
+                return this.move(run, line, 'home', this.controller.defaultPose);
+            case 'wait': {
+                const ms = args[0];
+                if (!Number.isFinite(ms) || ms < 0) {
+                    throw new Error('wait() needs a number of milliseconds');
+                }
+                this.addStep(run, line, `wait ${ms} ms`);
+                if (!run.dryRun) {
+                    await this.wait(ms);
+                }
+                return;
+            }
+            case 'repeat':
+                this.addStep(run, line, `repeat ${args[0]}/${args[1]}`);
+                return;
+            default:
+                throw new Error(`arm.${name} is not available`);
+        }
+    }
+
+    /**
+     * Move to a (partial) pose through the controller; a dry run logs the commands it would send
+     */
+    async move(run, line, label, pose) {
+        if (!run.dryRun) {
+            this.addStep(run, line, label);
+            await this.controller.moveToPose(pose);
+            return;
+        }
+
+        const target = { ...run.pose };
+        Object.entries(pose).forEach(([joint, angle]) => {
+            target[joint] = ArmMotion.clamp(joint, angle);
+        });
+
+        let commands;
+        if (this.controller.useWaypoints()) {
+            const { waypoints, duration } = this.controller.planner.plan(run.pose, target);
+            commands = waypoints.map(waypoint => ArmProtocol.formatWaypoint(waypoint.pose, waypoint.duration));
+            label += waypoints.length > 0
+                ? ` → ${waypoints.length} waypoint(s) over ${(duration / 1000).toFixed(2)} s, ending ${commands[commands.length - 1]}`
+                : ' → already there';
+        } else {
+            commands = Object.keys(pose)
+                .filter(joint => target[joint] !== run.pose[joint])
+                .map(joint => `${ArmProtocol.JOINT_CODES[joint]}:${target[joint]}`);
+            label += commands.length > 0 ? ` → ${commands.join(' ')}` : ' → already there';
+        }
+
+        // Same calibration and firmware limit checks a real run would hit
+        commands.forEach(command => {
+            this.controller.serialComm.checkFirmwareLimits(this.controller.serialComm.prepareCommand(command));
+        });
+        this.addStep(run, line, label);
+        run.pose = target;
+    }
+
+    /**
+     * { base: 90, claw: 10 } with known joints and angles in range, or throw
+     */
+    static checkPose(pose) {
+        if (!pose || typeof pose !== 'object' || Array.isArray(pose)) {
+            throw new Error('moveTo() needs a pose such as { base: 90, mid: 100 }');
+        }
+
+        const ranges = ArmMotion.JOINT_RANGES;
+        const checked = {};
+        Object.entries(pose).forEach(([joint, angle]) => {
+            // Own keys only, so "constructor" or "toString" aren't taken for joints
+            const range = Object.hasOwn(ranges, joint) ? ranges[joint] : null;
+            if (!range) {
+                throw new Error(`Unknown joint "${joint}" (base, mid, near or claw)`);
+            }
+            if (!Number.isFinite(angle) || angle < range.min || angle > range.max) {
+                throw new Error(`${joint} must be between ${range.min} and ${range.max}`);
+            }
+            checked[joint] = angle;
+        });
+        if (Object.keys(checked).length === 0) {
+            throw new Error('moveTo() needs at least one joint');
+        }
+        return checked;
+    }
+
+    formatPose(pose) {
+        return Object.entries(pose).map(([joint, angle]) => `${joint} ${angle}`).join(', ');
+    }
+
+    atLine(line) {
+        return line ? `Line ${line}: ` : '';
+    }
+
+    /**
+     * Log a step, highlight it and select its line in the editor
+     */
+    addStep(run, line, text) {
+        run.steps++;
+        const item = document.createElement('li');
+        item.textContent = `${this.atLine(line)}${text}`;
+        this.stepList.appendChild(item);
+        this.highlightStep(item);
+        item.scrollIntoView({ block: 'nearest' });
+        this.selectLine(line);
+    }
+
+    highlightStep(current) {
+        Array.from(this.stepList.children).forEach(item => {
+            item.classList.toggle('active', item === current);
+        });
+    }
+
+    selectLine(line) {
+        if (!line) {
+            return;
+        }
+        const lines = this.editor.value.split('\n');
+        if (line > lines.length) {
+            return;
+        }
+        const start = lines.slice(0, line - 1).reduce((length, text) => length + text.length + 1, 0);
+        this.editor.setSelectionRange(start, start + lines[line - 1].length);
+    }
+
+    /**
+     * A script's wait(); ends early if the run is aborted
+     */
+    wait(ms) {
+        return new Promise(resolve => {
+            this.waitResolve = resolve;
+            this.waitTimer = setTimeout(resolve, ms);
+        });
+    }
+
+    /**
+     * Stop a running script at once; like an emergency stop (but without latching one), queued and
+     * debounced commands are dropped, and a move in progress ends after the waypoint being sent
+     */
+    abort(reason) {
+        const run = this.activeRun;
+        if (!run) {
+            return;
+        }
+        if (!run.dryRun) {
+            this.controller.serialComm.cancelPendingCommands(`Script stopped: ${reason}`);
+        }
+        this.finish(run, 'aborted', `Script stopped: ${reason}`);
+    }
+
+    /**
+     * End a run: outcome is 'finished', 'failed' or 'aborted'
+     * Real runs are announced with a scriptFinished event (recorded in the audit log)
+     */
+    finish(run, outcome, message) {
+        if (run !== this.activeRun) {
+            return;
+        }
+        this.activeRun = null;
+        run.worker.terminate();
+
+        clearTimeout(this.waitTimer);
+        if (this.waitResolve) {
+            this.waitResolve();
+            this.waitResolve = null;
+        }
+
+        this.highlightStep(null);
+        this.editor.readOnly = false;
+        this.updateButtons();
+        const status = {
+            finished: ['✅', '#28a745'],
+            failed: ['❌', '#dc3545'],
+            aborted: ['■', '#dc3545']
+        }[outcome];
+        this.showStatus(`${status[0]} ${message}`, status[1]);
+
+        if (!run.dryRun) {
+            window.dispatchEvent(new CustomEvent('scriptFinished', {
+                detail: { outcome, message, steps: run.steps }
+            }));
+        }
+    }
+
+    updateButtons() {
+        const running = Boolean(this.activeRun);
+        this.runBtn.disabled = running || !this.enabled;
+        this.dryRunBtn.disabled = running || !this.dryRunEnabled;
+        this.abortBtn.disabled = !running;
+    }
+
+    /**
+     * Real runs need motion (unlocked operator, connected, no stop, motion control);
+     * dry runs only an unlocked operator (not an observer). Losing what a run needs aborts it
+     */
+    setEnabled(enabled, dryRunEnabled = enabled) {
+        this.enabled = enabled;
+        this.dryRunEnabled = dryRunEnabled;
+        if (this.activeRun && !(this.activeRun.dryRun ? dryRunEnabled : enabled)) {
+            this.abort(dryRunEnabled ? 'motion disabled' : 'system locked');
+        }
+        this.updateButtons();
+    }
+
+    showStatus(message, color) {
+        this.scriptStatus.textContent = message;
+        this.scriptStatus.style.color = color;
+    }
+
+    isRunning() {
+        return Boolean(this.activeRun);
+    }
+}
+
+// Also loaded by the Node tests (node/test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScriptConsole;
+} else {
+    window.ScriptConsole = ScriptConsole;
+}
\ No newline at end of file
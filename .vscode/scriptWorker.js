@@ -0,0 +1,131 @@
+/**
+ * Script Worker
+ * Runs one script console routine away from the page: the routine sees only the arm API
+ * below (no DOM, controller or serial port), and the page stops it by terminating the worker
+ *
+ * Page -> worker: { type: 'run', source }, { type: 'result', id }
+ * Worker -> page: { type: 'call', id, name, args, line }, { type: 'done' }, { type: 'failed', message, line }
+ */
+
+// Everything lives in this function so routines can't reach the worker's own state or postMessage
+(() => {
+    'use strict';
+
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+    // Routines are compiled after this prefix; it stays on their first line so line numbers match
+    const PREFIX = '"use strict"; ';
+
+    // Worker globals a routine could use to reach the network, storage or the page
+    // Only a denylist: import() can't be removed and still loads code from anywhere
+    const BLOCKED_GLOBALS = [
+        'postMessage', 'onmessage', 'onmessageerror', 'addEventListener', 'removeEventListener', 'dispatchEvent',
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'WebSocketStream', 'WebTransport', 'EventSource', 'importScripts',
+        'FontFace', 'fonts',
+        'caches', 'indexedDB', 'cookieStore', 'navigator', 'Notification',
+        'Worker', 'SharedWorker', 'BroadcastChannel', 'MessageChannel', 'RTCPeerConnection'
+    ];
+
+    const send = self.postMessage.bind(self);
+    const listen = self.addEventListener.bind(self);
+
+    let nextId = 1;
+    let lineOffset = 0;
+    const pending = new Map();      // Call id -> resolve, until the page reports the call finished
+    const outstanding = new Set();  // Calls the routine didn't await
+
+    /**
+     * Line of the routine that is running, from a stack trace (null if the browser doesn't say)
+     */
+    function routineLine(stack) {
+        const match = /(?:<anonymous>|Function):(\d+):\d+/.exec(stack || '');
+        return match ? Number(match[1]) - lineOffset : null;
+    }
+
+    /**
+     * Ask the page to perform an arm call; resolves once it is done
+     * The page stops the whole routine if a call fails, so calls never reject
+     */
+    function call(name, args) {
+        const id = nextId++;
+        const line = routineLine(new Error().stack);
+        const done = new Promise(resolve => pending.set(id, resolve));
+        outstanding.add(done);
+        done.then(() => outstanding.delete(done));
+
+        send({ type: 'call', id, name, args, line });
+        return done;
+    }
+
+    const arm = Object.freeze({
+        moveTo: (pose) => call('moveTo', [pose]),
+        openClaw: () => call('openClaw', []),
+        closeClaw: () => call('closeClaw', []),
+        home: () => call('home', []),
+        wait: (ms) => call('wait', [ms]),
+
+        /**
+         * Run body(i) count times, waiting for each pass before the next
+         */
+        repeat: async (count, body) => {
+            if (!Number.isInteger(count) || count < 0) {
+                throw new TypeError('repeat() needs a whole number of times');
+            }
+            if (typeof body !== 'function') {
+                throw new TypeError('repeat() needs a function to repeat');
+            }
+            for (let i = 0; i < count; i++) {
+                await call('repeat', [i + 1, count]);
+                await body(i);
+            }
+        }
+    });
+
+    /**
+     * Remove the blocked globals from the worker scope and its prototypes, then pin them to undefined
+     * If a global can't be removed this throws before the message listener is added,
+     * so the page reports that the script could not start rather than run it unguarded
+     */
+    function lockDown() {
+        BLOCKED_GLOBALS.forEach(name => {
+            for (let scope = self; scope; scope = Object.getPrototypeOf(scope)) {
+                if (Object.prototype.hasOwnProperty.call(scope, name)) {
+                    delete scope[name];
+                }
+            }
+            Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+        });
+    }
+
+    async function run(source) {
+        try {
+            // How many lines the browser puts before a compiled function's body
+            lineOffset = 0;
+            const probe = new AsyncFunction('arm', PREFIX + 'return arm(new Error().stack);');
+            const firstLine = await probe(routineLine);
+            lineOffset = firstLine === null ? 0 : firstLine - 1;
+
+            const routine = new AsyncFunction('arm', PREFIX + source);
+            await routine(arm);
+            // Calls the routine fired without await still run, in order, before it counts as done
+            while (outstanding.size > 0) {
+                await Promise.all(outstanding);
+            }
+            send({ type: 'done' });
+        } catch (error) {
+            const line = error instanceof SyntaxError ? null : routineLine(error && error.stack);
+            send({ type: 'failed', message: error && error.message ? error.message : String(error), line });
+        }
+    }
+
+    lockDown();
+
+    listen('message', (event) => {
+        const message = event.data;
+        if (message.type === 'run') {
+            run(String(message.source));
+        } else if (message.type === 'result' && pending.has(message.id)) {
+            pending.get(message.id)();
+            pending.delete(message.id);
+        }
+    });
+})();
\ No newline at end of file
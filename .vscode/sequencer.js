@@ -0,0 +1,395 @@
+/**
+ * Pose Sequencer Module
+ * Records named poses and plays them back as timed sequences
+ */
+
+class PoseSequencer {
+    constructor(controller) {
+        this.controller = controller;
+        this.storageKey = 'roboticArmSequences';
+        this.poses = {};      // name -> { base, mid, near, claw }
+        this.sequences = {};  // name -> { steps: [{ pose, delay }] }
+        this.steps = [];      // Sequence being edited
+        this.enabled = false;
+        this.isPlaying = false;
+        this.isPaused = false;
+        this.abortRequested = false;
+        this.resumeWaiter = null;
+        this.delayTimer = null;
+        this.delayResolve = null;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.load();
+        this.render();
+    }
+
+    initElements() {
+        this.poseNameInput = document.getElementById('poseName');
+        this.capturePoseBtn = document.getElementById('capturePose');
+        this.poseSelect = document.getElementById('poseSelect');
+        this.stepDelayInput = document.getElementById('stepDelay');
+        this.addStepBtn = document.getElementById('addStep');
+        this.stepList = document.getElementById('stepList');
+        this.sequenceNameInput = document.getElementById('sequenceName');
+        this.saveSequenceBtn = document.getElementById('saveSequence');
+        this.sequenceSelect = document.getElementById('sequenceSelect');
+        this.deleteSequenceBtn = document.getElementById('deleteSequence');
+        this.playBtn = document.getElementById('playSequence');
+        this.pauseBtn = document.getElementById('pauseSequence');
+        this.abortBtn = document.getElementById('abortSequence');
+        this.loopCheckbox = document.getElementById('loopSequence');
+        this.exportBtn = document.getElementById('exportSequences');
+        this.importInput = document.getElementById('importSequences');
+        this.sequenceStatus = document.getElementById('sequenceStatus');
+    }
+
+    attachEventListeners() {
+        this.capturePoseBtn.addEventListener('click', () => this.capturePose());
+        this.addStepBtn.addEventListener('click', () => this.addStep());
+        this.saveSequenceBtn.addEventListener('click', () => this.saveSequence());
+        this.deleteSequenceBtn.addEventListener('click', () => this.deleteSequence());
+        this.sequenceSelect.addEventListener('change', () => this.selectSequence());
+        this.playBtn.addEventListener('click', () => this.play());
+        this.pauseBtn.addEventListener('click', () => this.togglePause());
+        this.abortBtn.addEventListener('click', () => this.abort());
+        this.exportBtn.addEventListener('click', () => this.exportJSON());
+        this.importInput.addEventListener('change', (e) => this.importJSON(e.target.files[0]));
+    }
+
+    /**
+     * Load poses and sequences from localStorage
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved) {
+                this.poses = saved.poses || {};
+                this.sequences = saved.sequences || {};
+            }
+        } catch (error) {
+            console.error('Error loading saved sequences:', error);
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            poses: this.poses,
+            sequences: this.sequences
+        }));
+    }
+
+    /**
+     * Store the current slider positions as a named pose
+     */
+    capturePose() {
+        const name = this.poseNameInput.value.trim();
+        if (!name) {
+            alert('Please enter a pose name');
+            return;
+        }
+
+        this.poses[name] = this.controller.getCurrentPose();
+        this.save();
+        this.poseNameInput.value = '';
+        this.render();
+        this.poseSelect.value = name;
+        this.showStatus(`Pose "${name}" captured`);
+    }
+
+    addStep() {
+        const pose = this.poseSelect.value;
+        if (!pose) {
+            alert('Capture a pose first');
+            return;
+        }
+
+        const delay = Math.max(0, parseInt(this.stepDelayInput.value, 10) || 0);
+        this.steps.push({ pose, delay });
+        this.renderSteps();
+    }
+
+    removeStep(index) {
+        this.steps.splice(index, 1);
+        this.renderSteps();
+    }
+
+    saveSequence() {
+        const name = this.sequenceNameInput.value.trim();
+        if (!name) {
+            alert('Please enter a sequence name');
+            return;
+        }
+        if (this.steps.length === 0) {
+            alert('Add at least one step to the sequence');
+            return;
+        }
+
+        this.sequences[name] = { steps: this.steps.map(step => ({ ...step })) };
+        this.save();
+        this.render();
+        this.sequenceSelect.value = name;
+        this.showStatus(`Sequence "${name}" saved`);
+    }
+
+    selectSequence() {
+        const sequence = this.sequences[this.sequenceSelect.value];
+        this.steps = sequence ? sequence.steps.map(step => ({ ...step })) : [];
+        this.sequenceNameInput.value = sequence ? this.sequenceSelect.value : '';
+        this.renderSteps();
+    }
+
+    deleteSequence() {
+        const name = this.sequenceSelect.value;
+        if (!name || !confirm(`Delete sequence "${name}"?`)) {
+            return;
+        }
+
+        delete this.sequences[name];
+        this.save();
+        this.steps = [];
+        this.sequenceNameInput.value = '';
+        this.render();
+    }
+
+    /**
+     * Play the steps being edited, optionally looping until aborted
+     */
+    async play() {
+        if (this.isPlaying || this.steps.length === 0) {
+            return;
+        }
+
+        const missing = this.steps.find(step => !this.poses[step.pose]);
+        if (missing) {
+            alert(`Pose "${missing.pose}" no longer exists`);
+            return;
+        }
+
+        this.isPlaying = true;
+        this.isPaused = false;
+        this.abortRequested = false;
+        this.updatePlaybackButtons();
+
+        try {
+            do {
+                for (let i = 0; i < this.steps.length; i++) {
+                    await this.waitWhilePaused();
+                    if (this.abortRequested) {
+                        break;
+                    }
+
+                    const step = this.steps[i];
+                    this.highlightStep(i);
+                    this.showStatus(`Step ${i + 1}/${this.steps.length}: moving to "${step.pose}"`);
+
+                    await this.controller.moveToPose(this.poses[step.pose]);
+                    if (this.abortRequested) {
+                        break;
+                    }
+
+                    await this.delay(step.delay);
+                }
+            } while (this.loopCheckbox.checked && !this.abortRequested);
+
+            this.showStatus(this.abortRequested ? 'Playback aborted' : 'Playback finished');
+        } catch (error) {
+            console.error('Sequence playback failed:', error);
+            this.showStatus(`Playback stopped: ${error.message}`);
+        } finally {
+            this.isPlaying = false;
+            this.isPaused = false;
+            this.highlightStep(-1);
+            this.updatePlaybackButtons();
+        }
+    }
+
+    togglePause() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.isPaused = !this.isPaused;
+        if (!this.isPaused && this.resumeWaiter) {
+            this.resumeWaiter();
+            this.resumeWaiter = null;
+        }
+        this.showStatus(this.isPaused ? 'Paused after current step' : 'Resumed');
+        this.updatePlaybackButtons();
+    }
+
+    /**
+     * Stop playback; the current move is left to the emergency stop or its ack
+     */
+    abort() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.abortRequested = true;
+        this.isPaused = false;
+        if (this.resumeWaiter) {
+            this.resumeWaiter();
+            this.resumeWaiter = null;
+        }
+        if (this.delayTimer) {
+            clearTimeout(this.delayTimer);
+            this.delayResolve();
+        }
+    }
+
+    waitWhilePaused() {
+        if (!this.isPaused) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.resumeWaiter = resolve;
+        });
+    }
+
+    /**
+     * Wait between steps; resolves early on abort
+     */
+    delay(ms) {
+        return new Promise(resolve => {
+            this.delayResolve = () => {
+                this.delayTimer = null;
+                resolve();
+            };
+            this.delayTimer = setTimeout(this.delayResolve, ms);
+        });
+    }
+
+    /**
+     * Download poses and sequences as a JSON file
+     */
+    exportJSON() {
+        const data = JSON.stringify({ version: 1, poses: this.poses, sequences: this.sequences }, null, 2);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([data], { type: 'application/json' }));
+        link.download = 'arm-sequences.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Throw unless data is an export file whose sequences only use its own poses or knownPoses
+     * Also used by the command-line tool's play command
+     */
+    static validateExport(data, knownPoses = {}) {
+        if (!data || typeof data.poses !== 'object' || typeof data.sequences !== 'object') {
+            throw new Error('Not a sequence export file');
+        }
+
+        const joints = Object.keys(ArmProtocol.JOINT_CODES);
+        for (const [name, pose] of Object.entries(data.poses)) {
+            if (!joints.every(joint => Number.isFinite(pose[joint]))) {
+                throw new Error(`Pose "${name}" is missing joint angles`);
+            }
+        }
+        for (const [name, sequence] of Object.entries(data.sequences)) {
+            const valid = Array.isArray(sequence.steps) && sequence.steps.every(step =>
+                (data.poses[step.pose] || knownPoses[step.pose]) && Number.isFinite(step.delay)
+            );
+            if (!valid) {
+                throw new Error(`Sequence "${name}" has invalid steps`);
+            }
+        }
+    }
+
+    /**
+     * Merge poses and sequences from an exported JSON file
+     */
+    async importJSON(file) {
+        if (!file) {
+            return;
+        }
+
+        try {
+            const data = JSON.parse(await file.text());
+            PoseSequencer.validateExport(data, this.poses);
+
+            Object.assign(this.poses, data.poses);
+            Object.assign(this.sequences, data.sequences);
+            this.save();
+            this.render();
+            this.showStatus(`Imported ${Object.keys(data.sequences).length} sequence(s)`);
+        } catch (error) {
+            console.error('Import error:', error);
+            alert(`Failed to import sequences: ${error.message}`);
+        } finally {
+            this.importInput.value = '';
+        }
+    }
+
+    render() {
+        this.fillSelect(this.poseSelect, Object.keys(this.poses), 'Select pose');
+        this.fillSelect(this.sequenceSelect, Object.keys(this.sequences), 'Saved sequences');
+        this.renderSteps();
+    }
+
+    fillSelect(select, names, placeholder) {
+        const current = select.value;
+        select.innerHTML = '';
+        select.appendChild(new Option(placeholder, ''));
+        names.forEach(name => select.appendChild(new Option(name, name)));
+        if (names.includes(current)) {
+            select.value = current;
+        }
+    }
+
+    renderSteps() {
+        this.stepList.innerHTML = '';
+        this.steps.forEach((step, index) => {
+            const item = document.createElement('li');
+            item.textContent = `${step.pose} → wait ${step.delay} ms `;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'step-remove';
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', () => this.removeStep(index));
+            item.appendChild(removeBtn);
+
+            this.stepList.appendChild(item);
+        });
+    }
+
+    highlightStep(index) {
+        Array.from(this.stepList.children).forEach((item, i) => {
+            item.classList.toggle('active', i === index);
+        });
+    }
+
+    updatePlaybackButtons() {
+        this.playBtn.disabled = this.isPlaying || !this.enabled;
+        this.pauseBtn.disabled = !this.isPlaying;
+        this.abortBtn.disabled = !this.isPlaying;
+        this.pauseBtn.textContent = this.isPaused ? 'Resume' : 'Pause';
+    }
+
+    /**
+     * Enable or disable playback; disabling aborts a running sequence
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.abort();
+        }
+        this.updatePlaybackButtons();
+    }
+
+    showStatus(message) {
+        this.sequenceStatus.textContent = message;
+    }
+
+    getPlayingState() {
+        return this.isPlaying;
+    }
+}
+
+// node/arm.js uses validateExport() to check files before playing them
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PoseSequencer;
+} else {
+    window.PoseSequencer = PoseSequencer;
+}
\ No newline at end of file
@@ -1,157 +1,239 @@
 /**
  * Serial Communication Module
  * Handles Arduino connection and command transmission
+ * The page's connection bar on top of ArmLink, which does the talking to the arm
  */
 
-class SerialCommunicator {
+class SerialCommunicator extends ArmLink {
     constructor() {
-        this.port = null;
-        this.writer = null;
-        this.isConnected = false;
-        this.commandTimers = {};
-        this.debounceDelay = 100; // milliseconds
+        super();
+        this.storageKey = 'roboticArmConnection';
 
         this.initElements();
         this.attachEventListeners();
+        this.restoreConnection();
     }
 
     initElements() {
         this.connectBtn = document.getElementById('connectBtn');
+        this.disconnectBtn = document.getElementById('disconnectBtn');
+        this.baudRateSelect = document.getElementById('baudRateSelect');
         this.connectionStatus = document.getElementById('connectionStatus');
         this.connectionIndicator = document.getElementById('connectionIndicator');
-    }
+        this.transportSelect = document.getElementById('transportSelect');
+        this.relayUrlInput = document.getElementById('relayUrl');
+        this.relayTokenInput = document.getElementById('relayToken');
+        this.relayPassphraseInput = document.getElementById('relayPassphrase');
+        this.controlStatus = document.getElementById('controlStatus');
+        this.controlBtn = document.getElementById('controlBtn');
+
+        // ?simulate in the URL starts with the simulated arm selected
+        if (new URLSearchParams(window.location.search).has('simulate')) {
+            this.transportSelect.value = 'mock';
+        }
 
-    attachEventListeners() {
-        this.connectBtn.addEventListener('click', () => this.connect());
+        const saved = this.loadConnectionSettings();
+        if (saved.baudRate) {
+            this.baudRateSelect.value = saved.baudRate;
+        }
+        if (saved.relayUrl) {
+            this.relayUrlInput.value = saved.relayUrl;
+        }
+        this.showRelayFields();
     }
 
     /**
-     * Connect to Arduino via Web Serial API
+     * Relay address, token and passphrase only apply to the relay transport
      */
-    async connect() {
-        try {
-            // Request serial port access
-            this.port = await navigator.serial.requestPort();
-            await this.port.open({ baudRate: 9600 });
-
-            // Get writer for sending data
-            this.writer = this.port.writable.getWriter();
-
-            this.isConnected = true;
-            this.updateConnectionUI(true);
+    showRelayFields() {
+        const relay = this.transportSelect.value === 'relay';
+        this.relayUrlInput.style.display = relay ? '' : 'none';
+        this.relayTokenInput.style.display = relay ? '' : 'none';
+        this.relayPassphraseInput.style.display = relay ? '' : 'none';
+        this.baudRateSelect.style.display = relay ? 'none' : '';
+    }
 
-            // Trigger custom event
-            window.dispatchEvent(new CustomEvent('arduinoConnected'));
+    attachEventListeners() {
+        this.connectBtn.addEventListener('click', () => this.connect());
+        this.disconnectBtn.addEventListener('click', () => this.disconnect());
+        this.transportSelect.addEventListener('change', () => this.showRelayFields());
+        this.controlBtn.addEventListener('click', () => this.toggleMotionControl());
 
-            console.log('Arduino connected successfully');
-        } catch (error) {
-            console.error('Connection error:', error);
-            alert('Failed to connect to Arduino. Please try again.');
-            this.updateConnectionUI(false);
+        // A previously granted port was plugged back in
+        if ('serial' in navigator) {
+            navigator.serial.addEventListener('connect', (e) => this.onPortAvailable(e.target));
         }
     }
 
     /**
-     * Update connection status UI
+     * Last connected arm: { armId, baudRate, autoReconnect }
      */
-    updateConnectionUI(connected) {
-        if (connected) {
-            this.connectionStatus.textContent = 'Connected ✓';
-            this.connectionIndicator.classList.add('connected');
-            this.connectBtn.textContent = 'Connected';
-            this.connectBtn.disabled = true;
-        } else {
-            this.connectionStatus.textContent = 'Disconnected';
-            this.connectionIndicator.classList.remove('connected');
-            this.connectBtn.textContent = 'Connect to Arduino';
-            this.connectBtn.disabled = false;
+    loadConnectionSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+        } catch (error) {
+            console.error('Error loading connection settings:', error);
+            return {};
         }
     }
 
+    saveConnectionSettings(settings) {
+        localStorage.setItem(this.storageKey, JSON.stringify({ ...this.loadConnectionSettings(), ...settings }));
+    }
+
     /**
-     * Send command to Arduino
+     * On page load, reopen the remembered arm if the browser still has permission for it
      */
-    async sendCommand(command) {
-        if (!this.writer || !this.isConnected) {
-            console.warn('Cannot send command: Not connected');
-            return false;
+    async restoreConnection() {
+        const saved = this.loadConnectionSettings();
+        if (!saved.autoReconnect || this.transportSelect.value !== 'serial' || !('serial' in navigator)) {
+            return;
         }
 
         try {
-            await this.writer.write(new TextEncoder().encode(command + "\n"));
-            console.log('Sent:', command);
-            return true;
+            const ports = await navigator.serial.getPorts();
+            const port = ports.find(p => WebSerialTransport.describePort(p) === saved.armId);
+            if (port) {
+                console.log('Reconnecting to previously used arm', saved.armId);
+                await this.connect(port);
+            }
         } catch (error) {
-            console.error('Send error:', error);
-            return false;
+            console.error('Auto-reconnect error:', error);
         }
     }
 
     /**
-     * Send debounced command (waits until user stops moving slider)
+     * Reconnect when the remembered arm reappears (e.g. USB cable plugged back in)
      */
-    sendDebounced(id, command) {
-        // Clear existing timer for this control
-        if (this.commandTimers[id]) {
-            clearTimeout(this.commandTimers[id]);
+    async onPortAvailable(port) {
+        const saved = this.loadConnectionSettings();
+        if (this.isConnected || !saved.autoReconnect || this.transportSelect.value !== 'serial') {
+            return;
+        }
+        if (WebSerialTransport.describePort(port) === saved.armId) {
+            console.log('Remembered arm plugged in, reconnecting');
+            await this.connect(port);
         }
-
-        // Set new timer
-        this.commandTimers[id] = setTimeout(() => {
-            this.sendCommand(command);
-        }, this.debounceDelay);
     }
 
     /**
-     * Send immediate command (for buttons)
+     * Create the transport chosen in the UI
      */
-    sendImmediate(command) {
-        return this.sendCommand(command);
+    createTransport() {
+        if (this.transportSelect.value === 'mock') {
+            return new MockSerialTransport();
+        }
+        if (this.transportSelect.value === 'relay') {
+            return new RelayTransport({
+                url: this.relayUrlInput.value.trim(),
+                token: this.relayTokenInput.value.trim(),
+                passphrase: this.relayPassphraseInput.value
+            });
+        }
+        return new WebSerialTransport();
     }
 
     /**
-     * Send emergency stop
+     * Connect to Arduino via the selected transport
+     * Pass a previously granted port to reconnect without the port picker
      */
-    async emergencyStop() {
-        console.warn('EMERGENCY STOP ACTIVATED');
-        return await this.sendCommand('STOP');
-    }
+    async connect(port = null) {
+        if (this.isConnected || this.isConnecting) {
+            return;
+        }
+
+        const name = this.transportSelect.value;
+        const baudRate = Number(this.baudRateSelect.value);
 
-    /**
-     * Disconnect from Arduino
-     */
-    async disconnect() {
         try {
-            if (this.writer) {
-                this.writer.releaseLock();
-                this.writer = null;
+            const transport = this.createTransport();
+            await this.open(transport, { baudRate, port, name });
+
+            if (name === 'serial') {
+                this.saveConnectionSettings({ armId: transport.getArmId(), baudRate, autoReconnect: true });
             }
-            if (this.port) {
-                await this.port.close();
-                this.port = null;
+            if (name === 'relay') {
+                this.saveConnectionSettings({ relayUrl: transport.url });
             }
-            this.isConnected = false;
-            this.updateConnectionUI(false);
-            console.log('Arduino disconnected');
         } catch (error) {
-            console.error('Disconnect error:', error);
+            console.error('Connection error:', error);
+            // Automatic reconnects fail quietly; the user can still connect by hand
+            if (!port) {
+                alert(`Failed to connect to Arduino. Please try again.${error.message ? `\n${error.message}` : ''}`);
+            }
         }
     }
 
     /**
-     * Check connection status
+     * Disconnect from Arduino
+     * An explicit disconnect also stops automatic reconnection until the next manual connect
+     */
+    async disconnect() {
+        this.saveConnectionSettings({ autoReconnect: false });
+        await this.close('Disconnected by user');
+    }
+
+    /**
+     * ArmLink events are also dispatched on window for the rest of the page
      */
-    getConnectionState() {
-        return this.isConnected;
+    emit(name, detail) {
+        super.emit(name, detail);
+        window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+
+    updateControlUI() {
+        const status = this.motionControl;
+        this.controlStatus.style.display = status ? '' : 'none';
+        this.controlBtn.style.display = status ? '' : 'none';
+        if (!status) {
+            return;
+        }
+
+        if (status.mine) {
+            this.controlStatus.textContent = '🎮 You have motion control';
+        } else if (status.refused) {
+            this.controlStatus.textContent = `❌ Relay refused unlock: ${status.refused}`;
+        } else if (status.holder) {
+            this.controlStatus.textContent = `👀 ${status.holder} has motion control`;
+        } else {
+            this.controlStatus.textContent = 'Nobody has motion control';
+        }
+        this.controlBtn.textContent = status.mine ? 'Release control' : 'Take control';
+        this.controlBtn.disabled = !status.mine &&
+            (Boolean(status.holder) || !this.operator || this.operator.role === 'observer');
     }
 
     /**
-     * Set debounce delay
+     * Update connection status UI
      */
-    setDebounceDelay(delay) {
-        this.debounceDelay = delay;
+    updateConnectionUI(connected, lostReason = null) {
+        this.updateControlUI();
+        if (connected) {
+            this.connectionStatus.textContent = this.armInfo && this.isFramed()
+                ? `Connected ✓ (firmware ${this.armInfo.firmware}, protocol ${this.protocol})`
+                : 'Connected ✓ (legacy protocol)';
+            this.connectionIndicator.classList.add('connected');
+            this.connectBtn.textContent = 'Connected';
+            this.connectBtn.disabled = true;
+            this.disconnectBtn.disabled = false;
+            this.transportSelect.disabled = true;
+            this.baudRateSelect.disabled = true;
+            this.relayUrlInput.disabled = true;
+            this.relayTokenInput.disabled = true;
+            this.relayPassphraseInput.disabled = true;
+        } else {
+            this.connectionStatus.textContent = lostReason ? 'Connection lost - waiting for arm' : 'Disconnected';
+            this.connectionIndicator.classList.remove('connected');
+            this.connectBtn.textContent = 'Connect to Arduino';
+            this.connectBtn.disabled = false;
+            this.disconnectBtn.disabled = true;
+            this.transportSelect.disabled = false;
+            this.baudRateSelect.disabled = false;
+            this.relayUrlInput.disabled = false;
+            this.relayTokenInput.disabled = false;
+            this.relayPassphraseInput.disabled = false;
+        }
     }
 }
 
-// Export for use in main.js
 window.SerialCommunicator = SerialCommunicator;
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Trajectory Planner Module
+ * Plans synchronized multi-joint moves with trapezoidal or S-curve velocity profiles
+ */
+
+class TrajectoryPlanner {
+    constructor(settings = {}) {
+        this.storageKey = 'roboticArmMotion';
+        this.settings = { ...TrajectoryPlanner.DEFAULTS, ...settings };
+    }
+
+    /**
+     * profile: 'trapezoid', 's-curve' or 'joint' (one joint at a time, for sketches without W:)
+     * maxSpeed in °/s and acceleration in °/s² apply to the joint that moves furthest;
+     * interval is the time between streamed waypoints in ms
+     */
+    static get DEFAULTS() {
+        return {
+            profile: 'trapezoid',
+            maxSpeed: 90,
+            acceleration: 180,
+            interval: 100
+        };
+    }
+
+    static get PROFILES() {
+        return {
+            'trapezoid': 'Synchronized - trapezoidal',
+            's-curve': 'Synchronized - S-curve',
+            'joint': 'Joint by joint (legacy sketch)'
+        };
+    }
+
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    setSettings(settings) {
+        this.settings = { ...TrajectoryPlanner.DEFAULTS, ...settings };
+    }
+
+    /**
+     * False when moves should be sent joint by joint instead of as waypoints
+     */
+    isSynchronized() {
+        return this.settings.profile !== 'joint';
+    }
+
+    /**
+     * Plan a move between two { base, mid, near, claw } poses
+     * Every joint follows the same normalized profile, so all start and finish together
+     * Returns { duration (ms), waypoints: [{ pose, duration }] } with whole-degree poses;
+     * each waypoint's duration is the time to reach it from the previous one
+     */
+    plan(from, to) {
+        const joints = Object.keys(to);
+        const distance = Math.max(0, ...joints.map(joint => Math.abs(to[joint] - from[joint])));
+        if (distance === 0) {
+            return { duration: 0, waypoints: [] };
+        }
+
+        const timing = this.profileTiming(distance);
+        const waypoints = [];
+        let previous = 0;
+
+        for (let time = this.settings.interval; previous < timing.total; time += this.settings.interval) {
+            const end = Math.min(time, timing.total);
+            const progress = this.positionAt(end, timing) / distance;
+            const pose = {};
+            joints.forEach(joint => {
+                pose[joint] = Math.round(from[joint] + (to[joint] - from[joint]) * progress);
+            });
+            waypoints.push({ pose, duration: Math.round(end - previous) });
+            previous = end;
+        }
+
+        // The last waypoint lands exactly on the target
+        waypoints[waypoints.length - 1].pose = { ...to };
+        return { duration: Math.round(timing.total), waypoints };
+    }
+
+    /**
+     * Ramp, cruise and total time (ms) to cover distance degrees
+     * A trapezoid ramps at constant acceleration; the S-curve ramps with a half-cosine,
+     * so acceleration itself rises and falls smoothly (peak = the acceleration setting)
+     */
+    profileTiming(distance) {
+        const { maxSpeed, acceleration } = this.settings;
+        // Ramp time = shape * speed / acceleration; both ramps together cover shape * speed² / acceleration
+        const shape = this.settings.profile === 's-curve' ? Math.PI / 2 : 1;
+
+        let speed = maxSpeed;
+        if (shape * speed * speed / acceleration > distance) {
+            // Too short to reach full speed: a triangle (or bell) instead of a plateau
+            speed = Math.sqrt(acceleration * distance / shape);
+        }
+
+        const ramp = shape * speed / acceleration;
+        const cruise = (distance - speed * ramp) / speed;
+        return {
+            speed,
+            shape,
+            ramp: ramp * 1000,
+            cruise: cruise * 1000,
+            total: (2 * ramp + cruise) * 1000,
+            distance
+        };
+    }
+
+    /**
+     * Degrees covered after time ms along a profile from profileTiming()
+     */
+    positionAt(time, timing) {
+        const { speed, ramp, cruise, total, distance } = timing;
+        const t = Math.min(Math.max(time, 0), total) / 1000;
+        const rampSeconds = ramp / 1000;
+
+        const rampDistance = (seconds) => {
+            if (timing.shape === 1) {
+                return speed / rampSeconds * seconds * seconds / 2;
+            }
+            return speed / 2 * (seconds - rampSeconds / Math.PI * Math.sin(Math.PI * seconds / rampSeconds));
+        };
+
+        if (t <= rampSeconds) {
+            return rampDistance(t);
+        }
+        if (t <= rampSeconds + cruise / 1000) {
+            return rampDistance(rampSeconds) + speed * (t - rampSeconds);
+        }
+        // Deceleration mirrors the acceleration ramp
+        return distance - rampDistance(total / 1000 - t);
+    }
+
+    load() {
+        try {
+            this.setSettings(JSON.parse(localStorage.getItem(this.storageKey)) || {});
+        } catch (error) {
+            console.error('Error loading motion settings:', error);
+            this.setSettings({});
+        }
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.settings));
+    }
+}
+
+// Also used by the command-line tool (node/arm.js)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrajectoryPlanner;
+} else {
+    window.TrajectoryPlanner = TrajectoryPlanner;
+}
\ No newline at end of file
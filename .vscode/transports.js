@@ -0,0 +1,519 @@
+/**
+ * Serial Transport Module
+ * Byte transports used by SerialCommunicator: real Web Serial, a simulated arm
+ * or a relay (node/relay.js) that owns the serial port on another machine
+ *
+ * Every transport implements:
+ *   open(options)   - connect (may prompt the user for a port)
+ *   write(text)     - send text to the arm
+ *   close()         - disconnect
+ *   getArmId()      - stable id for per-arm settings
+ *   onData(text)    - set by the caller, receives text from the arm
+ *   onClose(reason) - set by the caller, called if the link drops without close()
+ *
+ * Shared transports (RelayTransport) also implement:
+ *   setOperator(op)   - tell the relay who is unlocked ({ name, role }) or null when locked
+ *   requestControl()  - ask for motion control; releaseControl() gives it up
+ *   onControl(status) - set by the caller, receives { holder, mine, stopped }
+ *   onRejected(text, reason) - set by the caller, a write the relay refused
+ */
+
+class WebSerialTransport {
+    constructor() {
+        this.port = null;
+        this.writer = null;
+        this.reader = null;
+        this.readLoopDone = null;
+        this.isClosing = false;
+        this.onData = () => {};
+        this.onClose = () => {};
+        this.handlePortDisconnect = () => this.connectionLost('USB device disconnected');
+    }
+
+    /**
+     * Open a port; pass a previously granted port to reconnect without prompting
+     */
+    async open({ baudRate = 9600, port = null } = {}) {
+        // Request serial port access
+        this.port = port || await navigator.serial.requestPort();
+        await this.port.open({ baudRate });
+        this.isClosing = false;
+        this.port.addEventListener('disconnect', this.handlePortDisconnect);
+
+        // Get writer for sending data
+        this.writer = this.port.writable.getWriter();
+
+        // Start listening for Arduino responses in the background
+        this.readLoopDone = this.readLoop();
+    }
+
+    /**
+     * Read Arduino output until the port is closed
+     */
+    async readLoop() {
+        this.reader = this.port.readable.getReader();
+        const decoder = new TextDecoder();
+
+        try {
+            while (true) {
+                const { value, done } = await this.reader.read();
+                if (done) {
+                    break;
+                }
+                this.onData(decoder.decode(value, { stream: true }));
+            }
+        } catch (error) {
+            console.error('Read error:', error);
+        } finally {
+            this.reader.releaseLock();
+            this.reader = null;
+        }
+
+        if (!this.isClosing) {
+            this.connectionLost('Serial port stopped responding');
+        }
+    }
+
+    /**
+     * The port went away underneath us (unplugged, board reset failure)
+     */
+    connectionLost(reason) {
+        if (this.isClosing || !this.port) {
+            return;
+        }
+        this.onClose(reason);
+    }
+
+    async write(text) {
+        await this.writer.write(new TextEncoder().encode(text));
+    }
+
+    async close() {
+        this.isClosing = true;
+        if (this.port) {
+            this.port.removeEventListener('disconnect', this.handlePortDisconnect);
+        }
+        if (this.reader) {
+            await this.reader.cancel();
+            await this.readLoopDone;
+        }
+        if (this.writer) {
+            this.writer.releaseLock();
+            this.writer = null;
+        }
+        if (this.port) {
+            await this.port.close();
+            this.port = null;
+        }
+    }
+
+    getArmId() {
+        return this.port ? WebSerialTransport.describePort(this.port) : 'default';
+    }
+
+    /**
+     * USB vendor:product of a port, or 'default' if the port doesn't report one
+     * Also used to find the remembered arm among previously granted ports
+     */
+    static describePort(port) {
+        const info = port.getInfo();
+        if (info.usbVendorId === undefined) {
+            return 'default';
+        }
+        const hex = id => id.toString(16).padStart(4, '0');
+        return `${hex(info.usbVendorId)}:${hex(info.usbProductId)}`;
+    }
+}
+
+/**
+ * Talks to node/relay.js over WebSocket; the relay owns the serial port and decides
+ * which connected page holds motion control
+ */
+class RelayTransport {
+    constructor({ url, token, passphrase = '' }) {
+        this.url = url;
+        this.token = token;
+        this.passphrase = passphrase; // Operator's relay passphrase, checked by the relay on unlock
+        this.socket = null;
+        this.armId = null;
+        this.isClosing = false;
+        this.onData = () => {};
+        this.onClose = () => {};
+        this.onControl = () => {};
+        this.onRejected = () => {};
+    }
+
+    /**
+     * Connect and authenticate with the relay's token; resolves once the relay welcomes us
+     */
+    async open() {
+        this.isClosing = false;
+        this.socket = new WebSocket(this.url);
+
+        await new Promise((resolve, reject) => {
+            this.socket.onopen = () => this.send({ type: 'hello', token: this.token });
+            this.socket.onmessage = (event) => {
+                const message = JSON.parse(event.data);
+                if (message.type === 'welcome') {
+                    this.armId = message.armId;
+                    resolve();
+                }
+                this.handleMessage(message);
+            };
+            this.socket.onclose = (event) => reject(new Error(event.reason || 'Relay closed the connection'));
+        });
+
+        this.socket.onclose = (event) => {
+            if (!this.isClosing) {
+                this.onClose(event.reason || 'Relay connection lost');
+            }
+        };
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case 'data':
+                this.onData(message.text + '\n');
+                break;
+            case 'control':
+                this.onControl({
+                    holder: message.holder,
+                    mine: message.mine,
+                    stopped: message.stopped,
+                    refused: message.refused || null
+                });
+                break;
+            case 'rejected':
+                this.onRejected(message.text, message.reason);
+                break;
+        }
+    }
+
+    /**
+     * The relay takes whole lines; SerialCommunicator writes them newline-terminated
+     */
+    async write(text) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new Error('Relay is not connected');
+        }
+        text.split('\n').filter(line => line.trim()).forEach(line => {
+            this.send({ type: 'write', text: line.trim() });
+        });
+    }
+
+    /**
+     * The relay takes the role from its own operators file, not from the page
+     */
+    setOperator(operator) {
+        this.send(operator
+            ? { type: 'unlock', operator: { name: operator.name }, passphrase: this.passphrase }
+            : { type: 'lock' });
+    }
+
+    requestControl() {
+        this.send({ type: 'request-control' });
+    }
+
+    releaseControl() {
+        this.send({ type: 'release-control' });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    async close() {
+        this.isClosing = true;
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+
+    getArmId() {
+        return `relay:${this.armId || 'default'}`;
+    }
+}
+
+/**
+ * In-process stand-in for the Arduino sketch
+ * Mirrors its loop(): one command at a time, 5 ms per degree in moveSmooth(),
+ * input that arrives while moving is discarded, same reply lines,
+ * STOP interrupts a move and latches until RESET, W: waypoints move all servos together
+ * and are acked as they start, reading the next line ahead during the move
+ */
+class MockSerialTransport {
+    constructor({ stepDelay = 5, timeScale = 1, legacy = false } = {}) {
+        this.stepDelay = stepDelay;   // ms per degree, like moveSmooth()
+        this.timeScale = timeScale;   // < 1 speeds the simulation up
+        this.legacy = legacy;         // Behave like the pre-handshake sketch: no frames, no HELLO
+        this.firmware = '1.4.0';
+        this.limits = {
+            B: [0, 180], M: [0, 180], N: [0, 180], C: [ArmProtocol.CLAW_OPEN, ArmProtocol.CLAW_CLOSED]
+        };
+        this.replySeq = null;         // Sequence number of the framed command being handled
+        this.serialTimeout = 1000;    // Serial.readStringUntil()/parseInt() timeout
+        this.isOpen = false;
+        this.isBusy = false;
+        this.inputBuffer = '';
+        this.nextLine = null;         // Line read ahead during a waypoint, handled next
+        this.servos = { B: 80, M: 95, N: 45, C: 0 };
+        this.stopped = false;         // Latched by STOP, cleared by RESET
+        this.onData = () => {};
+        this.onClose = () => {};
+    }
+
+    async open() {
+        this.isOpen = true;
+        this.inputBuffer = '';
+        this.nextLine = null;
+        // The board resets when the port opens and prints its banner after setup()
+        this.later(500, () => this.isOpen && this.onData('Robotic Arm Ready\r\n'));
+    }
+
+    async write(text) {
+        if (!this.isOpen) {
+            throw new Error('Simulated port is closed');
+        }
+        this.inputBuffer += text;
+        this.processInput();
+    }
+
+    async close() {
+        this.isOpen = false;
+        this.inputBuffer = '';
+        this.nextLine = null;
+    }
+
+    getArmId() {
+        return 'simulator';
+    }
+
+    /**
+     * Current simulated servo angles by joint name
+     */
+    getServoPositions() {
+        return { base: this.servos.B, mid: this.servos.M, near: this.servos.N, claw: this.servos.C };
+    }
+
+    /**
+     * Handle one buffered command, like one pass through the sketch's loop()
+     */
+    async processInput() {
+        if (this.isBusy || !this.isOpen || (this.nextLine === null && !this.inputBuffer.includes('\n'))) {
+            return;
+        }
+
+        this.isBusy = true;
+        let line;
+        if (this.nextLine !== null) {
+            line = this.nextLine.trim();
+            this.nextLine = null;
+        } else {
+            line = this.inputBuffer.slice(0, this.inputBuffer.indexOf('\n')).trim();
+            // The sketch clears whatever else is waiting once it has parsed a command
+            this.inputBuffer = '';
+        }
+
+        this.replySeq = null;
+        if (line.startsWith('#') && !this.legacy) {
+            const frame = ArmProtocol.unframe(line);
+            if (!frame) {
+                const seq = /^#(\d+)\|/.exec(line);
+                this.replySeq = seq ? parseInt(seq[1], 10) : 0;
+                this.println('ERR checksum');
+                this.isBusy = false;
+                this.processInput();
+                return;
+            }
+            this.replySeq = frame.seq;
+            line = frame.body;
+        }
+
+        const separator = line.indexOf(':');
+        const command = (separator >= 0 ? line.slice(0, separator) : line).trim();
+        // Waypoints carry several comma-separated values; everything else has one
+        const values = separator >= 0
+            ? line.slice(separator + 1).split(',').map(field => parseInt(field, 10) || 0)
+            : [0];
+        const value = values[0];
+
+        if (separator < 0 && this.legacy) {
+            // readStringUntil(':') and parseInt() both wait out the serial timeout
+            await this.sleep(2 * this.serialTimeout);
+        }
+
+        await this.execute(command, value, values);
+
+        this.isBusy = false;
+        this.processInput();
+    }
+
+    async execute(command, value, values = [value]) {
+        if (command === 'HELLO' && !this.legacy) {
+            const joints = {};
+            Object.entries(ArmProtocol.JOINT_CODES).forEach(([joint, code]) => {
+                const [min, max] = this.limits[code];
+                joints[joint] = { min, max };
+            });
+            this.println(ArmProtocol.formatHello({
+                protocol: ArmProtocol.PROTOCOL_VERSION,
+                firmware: this.firmware,
+                joints,
+                capabilities: ['W', 'Q'],
+                stopped: this.stopped
+            }));
+            return;
+        }
+        if (this.stopped && !['STOP', 'RESET'].includes(command)) {
+            this.println('STOPPED');
+            return;
+        }
+
+        switch (command) {
+            case 'B':
+                if (await this.moveSmooth('B', this.clamp('B', value))) {
+                    this.println('Base OK');
+                }
+                break;
+            case 'M':
+                if (await this.moveSmooth('M', this.clamp('M', value))) {
+                    this.println('Mid OK');
+                }
+                break;
+            case 'N':
+                if (await this.moveSmooth('N', this.clamp('N', value))) {
+                    this.println('Near OK');
+                }
+                break;
+            case 'C':
+            case 'CL':
+                if (value === 0) {
+                    if (await this.moveSmooth('C', ArmProtocol.CLAW_OPEN)) {
+                        this.println('Claw OPEN');
+                    }
+                } else if (value === 1) {
+                    if (await this.moveSmooth('C', ArmProtocol.CLAW_CLOSED)) {
+                        this.println('Claw CLOSED');
+                    }
+                } else if (await this.moveSmooth('C', this.clamp('C', value))) {
+                    this.println('Claw angle OK');
+                }
+                break;
+            case 'W':
+                if (this.legacy) {
+                    // The pre-handshake sketch has no W:, so it ignores it like any unknown command
+                    break;
+                }
+                this.println('Waypoint OK');
+                if (!(await this.moveTogether(values.slice(0, 4), values[4] || 0))) {
+                    // Cut short by STOP: drop whatever was read ahead
+                    this.nextLine = null;
+                }
+                break;
+            case 'STOP':
+                await this.sleep(300);
+                // Only the current sketch latches the stop (and knows RESET)
+                this.stopped = !this.legacy;
+                this.println('EMERGENCY STOP');
+                break;
+            case 'RESET':
+                if (this.legacy) {
+                    break;
+                }
+                this.stopped = false;
+                this.println('RESET OK');
+                break;
+            default:
+                // Unknown commands are ignored by the sketch
+                break;
+        }
+    }
+
+    /**
+     * Step one degree at a time; resolves false if a STOP arrives mid-move
+     */
+    async moveSmooth(servo, target) {
+        const angle = Math.min(180, Math.max(0, target));
+        const step = angle > this.servos[servo] ? 1 : -1;
+
+        while (this.servos[servo] !== angle) {
+            if (this.inputBuffer.startsWith('S')) {
+                return false;
+            }
+            this.servos[servo] += step;
+            await this.sleep(this.stepDelay);
+        }
+        return true;
+    }
+
+    /**
+     * Like the sketch's moveTogether(): interpolate all four servos over duration ms
+     * in stepDelay steps; resolves false if a STOP arrives mid-move
+     */
+    async moveTogether(targets, duration) {
+        const servos = ['B', 'M', 'N', 'C'];
+        const start = servos.map(servo => this.servos[servo]);
+        const ends = targets.map((target, i) => this.clamp(servos[i], target));
+        const steps = Math.max(1, Math.floor(duration / this.stepDelay));
+
+        for (let step = 1; step <= steps; step++) {
+            this.readAhead();
+            if (this.inputBuffer.startsWith('S')) {
+                return false;
+            }
+            servos.forEach((servo, i) => {
+                this.servos[servo] = start[i] + Math.trunc((ends[i] - start[i]) * step / steps);
+            });
+            await this.sleep(this.stepDelay);
+        }
+        return true;
+    }
+
+    /**
+     * Like the sketch's readAhead(): take the next whole line, unless it is a STOP
+     */
+    readAhead() {
+        const newline = this.inputBuffer.indexOf('\n');
+        if (this.nextLine === null && newline >= 0 && !this.inputBuffer.startsWith('S')) {
+            this.nextLine = this.inputBuffer.slice(0, newline);
+            this.inputBuffer = this.inputBuffer.slice(newline + 1);
+        }
+    }
+
+    /**
+     * The servo limits the sketch constrains moves to (the legacy sketch only has 0-180)
+     */
+    clamp(servo, angle) {
+        const [min, max] = this.legacy ? [0, 180] : this.limits[servo];
+        return Math.min(max, Math.max(min, angle));
+    }
+
+    /**
+     * Print a reply, framed like the command being handled (the sketch's reply())
+     */
+    println(line) {
+        if (this.isOpen) {
+            this.onData((this.replySeq === null ? line : ArmProtocol.frame(this.replySeq, line)) + '\r\n');
+        }
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms * this.timeScale));
+    }
+
+    later(ms, callback) {
+        setTimeout(callback, ms * this.timeScale);
+    }
+}
+
+// The relay and command-line tool run the simulated arm under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WebSerialTransport, RelayTransport, MockSerialTransport };
+} else {
+    window.WebSerialTransport = WebSerialTransport;
+    window.RelayTransport = RelayTransport;
+    window.MockSerialTransport = MockSerialTransport;
+}
\ No newline at end of file
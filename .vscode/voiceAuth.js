@@ -1,6 +1,7 @@
 /**
  * Voice Authentication Module with TensorFlow.js
- * Real biometric voice recognition using deep learning
+ * Voice matching with MFCC statistics, or a trained speaker-embedding model if one is installed
+ * in models/speaker-embedding (none ships with the app); neither is a reliable biometric, so use a PIN as well
  */
 
 class VoiceAuthenticator {
@@ -8,15 +9,45 @@ class VoiceAuthenticator {
         this.model = null;
         this.voiceEmbeddings = [];
         this.recordingCount = 0;
+        this.samplePhrase = null;     // What to say for the next enrollment sample
         this.mediaRecorder = null;
         this.audioChunks = [];
         this.isLocked = true;
-        this.threshold = 0.75; // Cosine similarity threshold
+        this.threshold = 0.75; // Default cosine similarity threshold; enrollment suggests one per operator
         this.modelLoaded = false;
+        this.featuresReady = false; // True once the model load attempt has finished
+        this.modelUrl = 'models/speaker-embedding/model.json';
+        this.profileStore = new VoiceProfileStore();
+        this.profiles = []; // Enrolled operators: { id, name, role, embeddings, ... }
+        this.skippedProfiles = 0; // Stored but unusable this session (needs the other feature version)
+        this.currentOperator = null;
+        // Bump whenever extractMFCC() or the model changes; older profiles are discarded
+        // (profiles from the removed untrained CNN, mfcc39-seq-cnn-v3, are discarded too)
+        this.featureVersions = {
+            model: 'mfcc39-seq-installed-v1',
+            fallback: 'mfcc39-stats-v3'
+        };
+        this.featureVersion = null;
+        // Consecutive failed matches before a lockout, and the back-off that follows
+        this.lockoutPolicy = { maxFailures: 3, baseDelay: 30000, maxDelay: 15 * 60000 };
+        this.lockoutKey = 'roboticArmAuthLockout';
+        this.lockoutTimer = null;
+        // Anti-replay: speak a random challenge instead of the fixed phrase
+        this.challenge = new VoiceChallenge((a, b) => this.cosineSimilarity(a, b));
+        this.challengeMode = VoiceChallenge.isSupported();
+        // Rejects quiet/clipped/silent enrollment clips and suggests per-operator thresholds
+        this.quality = new VoiceQuality((a, b) => this.cosineSimilarity(a, b));
+        // PIN/passphrase factor and the admin passphrase that guards enrollment
+        this.credentials = new Credentials();
+        this.twoFactor = false;           // true = voice AND PIN, false = voice OR PIN
+        this.pendingVoiceMatch = null;    // Voice step passed, waiting for the PIN (two-factor)
+        this.pinStepTimeout = 60000;
+        this.enrollmentAuthorized = false; // Admin approved adding/re-enrolling operators
 
         this.initElements();
         this.attachEventListeners();
-        this.loadModel();
+        this.loadModel().then(() => this.loadStoredProfiles());
+        this.showLockoutCountdown();
     }
 
     initElements() {
@@ -33,54 +64,193 @@ class VoiceAuthenticator {
         this.lockOverlay = document.getElementById('lockOverlay');
         this.lockStatus = document.getElementById('lockStatus');
         this.lockIndicator = document.getElementById('lockIndicator');
+        this.operatorName = document.getElementById('operatorName');
+        this.operatorRole = document.getElementById('operatorRole');
+        this.operatorList = document.getElementById('operatorList');
+        this.addOperatorBtn = document.getElementById('addOperatorBtn');
+        this.operatorPin = document.getElementById('operatorPin');
+        this.adminSetup = document.getElementById('adminSetup');
+        this.adminNew = document.getElementById('adminNew');
+        this.adminConfirm = document.getElementById('adminConfirm');
+        this.pinSection = document.getElementById('pinSection');
+        this.pinOperator = document.getElementById('pinOperator');
+        this.pinInput = document.getElementById('pinInput');
+        this.pinUnlockBtn = document.getElementById('pinUnlockBtn');
+        this.adminPassphrase = document.getElementById('adminPassphrase');
+        this.adminApproval = document.getElementById('adminApproval');
+        this.adminApprove = document.getElementById('adminApprove');
+
+        this.updateAdminFields();
     }
 
     attachEventListeners() {
         this.recordBtn.addEventListener('click', () => this.recordVoiceSample());
         this.authenticateBtn.addEventListener('click', () => this.authenticateVoice());
         this.resetVoiceBtn.addEventListener('click', () => this.resetVoiceProfile());
+        this.addOperatorBtn.addEventListener('click', () => this.addOperator());
+        this.pinUnlockBtn.addEventListener('click', () => this.unlockWithPin());
+        this.pinInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.unlockWithPin();
+            }
+        });
     }
 
     /**
-     * Load TensorFlow.js model for voice feature extraction
+     * Load an installed TensorFlow.js speaker-embedding model, if there is one
      */
     async loadModel() {
         try {
             this.trainingStatus.textContent = 'Loading AI model...';
 
-            // Create a simple CNN model for audio feature extraction
-            this.model = tf.sequential({
-                layers: [
-                    tf.layers.conv1d({
-                        inputShape: [128, 1],
-                        filters: 32,
-                        kernelSize: 3,
-                        activation: 'relu'
-                    }),
-                    tf.layers.maxPooling1d({ poolSize: 2 }),
-                    tf.layers.conv1d({
-                        filters: 64,
-                        kernelSize: 3,
-                        activation: 'relu'
-                    }),
-                    tf.layers.globalAveragePooling1d(),
-                    tf.layers.dense({ units: 128, activation: 'relu' }),
-                    tf.layers.dropout({ rate: 0.3 }),
-                    tf.layers.dense({ units: 64, activation: 'relu' })
-                ]
-            });
+            // Only present if a trained model was installed (see README, "Installing an Embedding Model")
+            this.model = await tf.loadLayersModel(this.modelUrl);
 
             this.modelLoaded = true;
             this.trainingStatus.textContent = 'AI model loaded! Ready to record.';
             console.log('Voice recognition model loaded successfully');
         } catch (error) {
-            console.error('Error loading model:', error);
-            this.trainingStatus.textContent = 'Model loading failed. Using fallback.';
+            console.warn('No speaker-embedding model loaded, using MFCC statistics:', error.message);
+            this.model = null;
+            this.trainingStatus.textContent = 'Ready to record (MFCC statistics, no embedding model installed).';
+        } finally {
+            this.featureVersion = this.modelLoaded ? this.featureVersions.model : this.featureVersions.fallback;
+            this.featuresReady = true;
+        }
+    }
+
+    /**
+     * Restore enrolled operator profiles from IndexedDB
+     */
+    async loadStoredProfiles() {
+        try {
+            const profiles = await this.profileStore.loadAllProfiles();
+            let discarded = 0;
+
+            const knownVersions = Object.values(this.featureVersions);
+
+            for (const profile of profiles) {
+                if (!knownVersions.includes(profile.featureVersion)) {
+                    await this.profileStore.deleteProfile(profile.id);
+                    discarded++;
+                    continue;
+                }
+
+                // Enrolled with the model but it failed to load this time (or vice versa)
+                if (profile.featureVersion !== this.featureVersion) {
+                    console.warn(`Voice profile for ${profile.name} needs ${profile.featureVersion}, skipping`);
+                    this.skippedProfiles++;
+                    continue;
+                }
+
+                // Profiles saved before named operators existed
+                this.profiles.push({
+                    ...profile,
+                    name: profile.name || 'Operator',
+                    role: profile.role || 'operator'
+                });
+            }
+
+            if (discarded > 0) {
+                console.warn(`Discarded ${discarded} voice profile(s) with an incompatible feature version`);
+                this.trainingStatus.textContent = 'Voice profile is outdated. Please record new samples.';
+            }
+
+            if (this.profiles.length > 0) {
+                this.showAuthPhase();
+                console.log('Restored voice profiles:', this.profiles.map(p => p.name).join(', '));
+            } else if (this.skippedProfiles > 0) {
+                // Operators exist, so this is not first-time setup: adding one needs an admin
+                this.showAuthPhase();
+                this.authStatus.textContent = '⚠️ Enrolled voice profiles need the AI model, which did not load. Reload the page.';
+                this.authStatus.style.color = '#dc3545';
+            }
+        } catch (error) {
+            console.error('Error loading stored voice profiles:', error);
+        }
+    }
+
+    /**
+     * Save a newly enrolled operator profile to IndexedDB
+     */
+    async saveProfile(profile) {
+        try {
+            await this.profileStore.saveProfile(profile);
+        } catch (error) {
+            console.error('Error saving voice profile:', error);
         }
     }
 
     /**
-     * Extract Mel-frequency cepstral coefficients (MFCC) from audio
+     * Show the authentication phase with the list of enrolled operators
+     */
+    showAuthPhase() {
+        this.operatorList.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.textContent = `${profile.name} (${profile.role}, threshold ${Math.round(profile.threshold * 100)}%)`;
+            this.operatorList.appendChild(item);
+        });
+
+        this.updatePinSection();
+        this.setupPhase.style.display = 'none';
+        this.authPhase.style.display = 'block';
+    }
+
+    /**
+     * PIN unlock: pick an operator (voice-or-PIN) or finish the voice step (two-factor)
+     */
+    updatePinSection() {
+        const withPin = this.profiles.filter(profile => profile.pin);
+        this.pinSection.style.display = withPin.length > 0 ? 'flex' : 'none';
+
+        this.pinOperator.innerHTML = '';
+        withPin.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            this.pinOperator.appendChild(option);
+        });
+
+        // In two-factor mode the voice match decides whose PIN is checked
+        const pending = this.pendingVoiceMatch;
+        if (pending) {
+            this.pinOperator.value = pending.profile.id;
+        }
+        this.pinOperator.disabled = this.twoFactor;
+        this.pinUnlockBtn.textContent = this.twoFactor ? 'Confirm PIN' : 'Unlock with PIN';
+    }
+
+    /**
+     * Return to the setup phase to enroll another operator
+     */
+    startEnrollment() {
+        this.voiceEmbeddings = [];
+        this.recordingCount = 0;
+        this.samplePhrase = null;
+        this.recordCount.textContent = '(1/3)';
+        this.progressFill.style.width = '0%';
+        this.operatorName.value = '';
+        this.operatorRole.value = 'operator';
+        this.operatorPin.value = '';
+        this.updateAdminFields();
+        this.trainingStatus.textContent = 'Recording sample 1 of 3...';
+        this.authPhase.style.display = 'none';
+        this.setupPhase.style.display = 'block';
+    }
+
+    /**
+     * Setup screen: create the admin passphrase the first time, or type it to approve an enrollment
+     */
+    updateAdminFields() {
+        const hasAdmin = this.credentials.hasAdmin();
+        this.adminSetup.style.display = hasAdmin ? 'none' : 'flex';
+        this.adminApproval.style.display = hasAdmin && !this.enrollmentAuthorized ? 'flex' : 'none';
+    }
+
+    /**
+     * Extract a frame-level MFCC sequence (time x 39) from audio
+     * Each frame holds 13 MFCCs plus their deltas and delta-deltas
      */
     async extractMFCC(audioBuffer) {
         const audioData = audioBuffer.getChannelData(0);
@@ -95,7 +265,10 @@ class VoiceAuthenticator {
         // Frame the signal
         const frameLength = Math.floor(0.025 * sampleRate); // 25ms frames
         const frameStep = Math.floor(0.010 * sampleRate);   // 10ms step
-        const frames = this.frameSignal(emphasized, frameLength, frameStep);
+        const allFrames = this.frameSignal(emphasized, frameLength, frameStep);
+
+        // Drop leading/trailing silence so only speech is compared
+        const frames = this.trimSilence(allFrames);
 
         // Apply Hamming window and FFT
         const powerSpectrum = frames.map(frame => {
@@ -111,10 +284,14 @@ class VoiceAuthenticator {
         // Compute DCT to get MFCCs
         const mfccs = melSpectrum.map(mel => this.computeDCT(mel));
 
-        // Average across time to get single feature vector
-        const avgMFCC = this.averageFeatures(mfccs);
+        // Remove channel effects (microphone, room) with cepstral mean normalization
+        const normalized = this.cepstralMeanNormalize(mfccs);
 
-        return avgMFCC;
+        // Append deltas and delta-deltas to capture how the voice changes over time
+        const deltas = this.computeDeltas(normalized);
+        const deltaDeltas = this.computeDeltas(deltas);
+
+        return normalized.map((frame, t) => frame.concat(deltas[t], deltaDeltas[t]));
     }
 
     normalizeAudio(audioData) {
@@ -139,6 +316,29 @@ class VoiceAuthenticator {
         return frames;
     }
 
+    /**
+     * Trim leading and trailing frames more than thresholdDb below the loudest frame
+     * Keeps every frame if too little speech is found
+     */
+    trimSilence(frames, thresholdDb = -35, minFrames = 10) {
+        const energies = frames.map(frame => {
+            const power = frame.reduce((sum, x) => sum + x * x, 0) / frame.length;
+            return 10 * Math.log10(power + 1e-10);
+        });
+        const cutoff = Math.max(...energies) + thresholdDb;
+
+        const first = energies.findIndex(energy => energy > cutoff);
+        let last = energies.length - 1;
+        while (last > first && energies[last] <= cutoff) {
+            last--;
+        }
+
+        if (first < 0 || last - first + 1 < minFrames) {
+            return frames;
+        }
+        return frames.slice(first, last + 1);
+    }
+
     hammingWindow(frame) {
         const N = frame.length;
         return frame.map((x, n) =>
@@ -233,23 +433,51 @@ class VoiceAuthenticator {
         return avg.map(x => x / features.length);
     }
 
+    cepstralMeanNormalize(features) {
+        const mean = this.averageFeatures(features);
+        return features.map(feature => feature.map((x, i) => x - mean[i]));
+    }
+
     /**
-     * Use TensorFlow model to extract deep voice embeddings
+     * Regression deltas over +/- N neighbouring frames
      */
-    async extractDeepEmbedding(mfcc) {
-        if (!this.modelLoaded || !this.model) {
-            return mfcc; // Fallback to MFCC
+    computeDeltas(features, N = 2) {
+        const last = features.length - 1;
+        let denominator = 0;
+        for (let n = 1; n <= N; n++) {
+            denominator += 2 * n * n;
         }
 
-        try {
-            // Pad or truncate to 128 features
-            let features = mfcc.slice(0, 128);
-            while (features.length < 128) {
-                features.push(0);
+        return features.map((feature, t) => feature.map((_, i) => {
+            let sum = 0;
+            for (let n = 1; n <= N; n++) {
+                const next = features[Math.min(t + n, last)][i];
+                const prev = features[Math.max(t - n, 0)][i];
+                sum += n * (next - prev);
             }
+            return sum / denominator;
+        }));
+    }
 
-            // Convert to tensor
-            const inputTensor = tf.tensor3d([features.map(x => [x])]);
+    featureStatistics(features) {
+        const mean = this.averageFeatures(features);
+        const variance = this.averageFeatures(features.map(feature =>
+            feature.map((x, i) => (x - mean[i]) * (x - mean[i]))
+        ));
+        return mean.concat(variance.map(Math.sqrt));
+    }
+
+    /**
+     * Use TensorFlow model to extract deep voice embeddings from an MFCC sequence
+     */
+    async extractDeepEmbedding(mfccSequence) {
+        if (!this.modelLoaded || !this.model) {
+            return this.featureStatistics(mfccSequence); // Fallback to MFCC statistics
+        }
+
+        try {
+            // Convert to tensor: [1, time, coefficients]
+            const inputTensor = tf.tensor3d([mfccSequence]);
 
             // Get embedding from model
             const embedding = this.model.predict(inputTensor);
@@ -262,7 +490,7 @@ class VoiceAuthenticator {
             return embeddingArray[0];
         } catch (error) {
             console.error('Deep embedding extraction failed:', error);
-            return mfcc;
+            return this.featureStatistics(mfccSequence);
         }
     }
 
@@ -296,11 +524,39 @@ class VoiceAuthenticator {
      * Record voice sample with real feature extraction
      */
     async recordVoiceSample() {
-        if (!this.modelLoaded) {
+        if (!this.featuresReady) {
             alert('Please wait for the AI model to load');
             return;
         }
 
+        const name = this.operatorName.value.trim();
+        if (!name) {
+            alert('Please enter the operator name before recording');
+            return;
+        }
+        // Only the first operator enrolls freely; everyone after is added by an admin (see addOperator())
+        if (this.enrollmentNeedsApproval() && !this.enrollmentAuthorized) {
+            if (!this.credentials.hasAdmin()) {
+                alert('Operators are already enrolled: use Add Operator with the admin passphrase');
+                return;
+            }
+            // Setup screen without Add Operator (e.g. no usable profiles): the passphrase is typed here
+            if (!(await this.checkAdmin(this.adminApprove, this.trainingStatus))) {
+                return;
+            }
+            this.enrollmentAuthorized = true;
+            this.updateAdminFields();
+        }
+
+        if (this.recordingCount === 0 && !(await this.checkEnrollmentCredentials())) {
+            return;
+        }
+
+        if (!this.samplePhrase) {
+            this.samplePhrase = this.enrollmentPhrase(this.recordingCount);
+        }
+        const phrase = this.samplePhrase;
+
         try {
             const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
@@ -313,8 +569,12 @@ class VoiceAuthenticator {
             this.mediaRecorder = new MediaRecorder(stream);
             this.audioChunks = [];
 
+            this.operatorName.disabled = true;
+            this.operatorRole.disabled = true;
+            this.operatorPin.disabled = true;
             this.recordBtn.classList.add('recording');
-            this.recordBtn.textContent = '🔴 Recording... (3 seconds)';
+            this.recordBtn.textContent = `🔴 Recording... (${phrase.duration / 1000} seconds)`;
+            this.trainingStatus.textContent = `Say: "${phrase.text}"`;
             this.waveform.style.display = 'flex';
             document.querySelector('.training-progress').style.display = 'block';
 
@@ -336,21 +596,36 @@ class VoiceAuthenticator {
                 const audioContext = new (window.AudioContext || window.webkitAudioContext)();
                 const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
 
-                // Extract MFCC features
-                const mfcc = await this.extractMFCC(audioBuffer);
+                // A bad clip would weaken the profile for good, so have it recorded again
+                const clipQuality = this.quality.analyzeClip(audioBuffer);
+                if (!clipQuality.ok) {
+                    console.warn('Enrollment sample rejected:', clipQuality);
+                    this.trainingStatus.textContent =
+                        `❌ Sample ${this.recordingCount + 1} rejected: ${clipQuality.problems.join('; ')}. Record it again.`;
+                    this.recordBtn.classList.remove('recording');
+                    this.recordBtn.textContent = `🎤 Record Voice Sample (${this.recordingCount + 1}/3)`;
+                    this.waveform.style.display = 'none';
+                    return;
+                }
+
+                // Extract frame-level MFCC features
+                const mfccSequence = await this.extractMFCC(audioBuffer);
 
                 // Get deep embedding using TensorFlow model
-                const embedding = await this.extractDeepEmbedding(mfcc);
+                const embedding = await this.extractDeepEmbedding(mfccSequence);
 
                 this.voiceEmbeddings.push(embedding);
 
                 this.recordingCount++;
                 this.progressFill.style.width = (this.recordingCount / 3 * 100) + '%';
+                this.samplePhrase = null;
 
                 if (this.recordingCount < 3) {
+                    this.samplePhrase = this.enrollmentPhrase(this.recordingCount);
                     this.recordCount.textContent = `(${this.recordingCount + 1}/3)`;
                     this.trainingStatus.textContent =
-                        `Sample ${this.recordingCount} recorded! Record sample ${this.recordingCount + 1} of 3...`;
+                        `Sample ${this.recordingCount} recorded! For sample ${this.recordingCount + 1} of 3, ` +
+                        `say: "${this.samplePhrase.text}"`;
                     this.recordBtn.classList.remove('recording');
                     this.recordBtn.textContent = `🎤 Record Voice Sample (${this.recordingCount + 1}/3)`;
                     this.waveform.style.display = 'none';
@@ -364,7 +639,7 @@ class VoiceAuthenticator {
                 if (this.mediaRecorder.state === 'recording') {
                     this.mediaRecorder.stop();
                 }
-            }, 3000);
+            }, phrase.duration);
 
         } catch (error) {
             console.error('Microphone access error:', error);
@@ -372,126 +647,621 @@ class VoiceAuthenticator {
         }
     }
 
-    completeVoiceSetup() {
-        this.trainingStatus.textContent = '✅ AI voice profile created successfully!';
-        console.log('Voice profile created with', this.voiceEmbeddings.length, 'embeddings');
+    async completeVoiceSetup() {
+        const name = this.operatorName.value.trim();
+        const pin = this.operatorPin.value;
+        const others = this.profiles.filter(existing => existing.id !== name.toLowerCase());
+        const enrollment = this.quality.scoreEnrollment(this.voiceEmbeddings, others);
+        const profile = {
+            id: name.toLowerCase(),
+            name,
+            role: this.operatorRole.value,
+            embeddings: this.voiceEmbeddings,
+            featureVersion: this.featureVersion,
+            threshold: enrollment.suggestedThreshold,
+            consistency: enrollment.consistency,
+            pin: pin ? await this.credentials.hash(pin) : null,
+            createdAt: new Date().toISOString()
+        };
+
+        // Re-enrollment replaces the old profile with the same id
+        this.profiles = this.profiles.filter(existing => existing.id !== profile.id);
+        this.profiles.push(profile);
+        this.saveProfile(profile);
+        this.enrollmentAuthorized = false;
+        this.operatorPin.value = '';
+
+        this.trainingStatus.textContent =
+            `✅ Voice profile for ${name} created! Samples agree ${Math.round(enrollment.consistency * 100)}%, ` +
+            `threshold set to ${Math.round(enrollment.suggestedThreshold * 100)}%` +
+            (enrollment.warnings.length > 0 ? ` (⚠️ ${enrollment.warnings.join('; ')})` : '');
+        console.log('Voice profile for', name, 'created with', this.voiceEmbeddings.length, 'embeddings', enrollment);
+
+        this.recordBtn.classList.remove('recording');
+        this.recordBtn.textContent = '🎤 Record Voice Sample (1/3)';
+        this.waveform.style.display = 'none';
+        this.operatorName.disabled = false;
+        this.operatorRole.disabled = false;
+        this.operatorPin.disabled = false;
+
+        setTimeout(() => this.showAuthPhase(), 1500);
+    }
+
+    /**
+     * What to say for enrollment sample index (0-2): { text, duration }
+     * With challenges on, samples 2 and 3 are random digits and words like the challenges,
+     * so genuine attempts aren't scored against the fixed phrase only
+     */
+    enrollmentPhrase(index) {
+        if (!this.challengeMode || index === 0) {
+            return { text: 'Unlock robotic arm', duration: 3000 };
+        }
+        const phrase = this.challenge.createPhrase(index === 1 ? 'digits' : 'words');
+        return { text: phrase.text, duration: 4000 };
+    }
+
+    /**
+     * True once an admin passphrase exists or any operator is enrolled (including skipped profiles)
+     */
+    enrollmentNeedsApproval() {
+        return this.credentials.hasAdmin() || this.profiles.length > 0 || this.skippedProfiles > 0;
+    }
+
+    /**
+     * Before the first sample: check the operator's PIN and create the admin passphrase on first setup
+     */
+    async checkEnrollmentCredentials() {
+        const pin = this.operatorPin.value;
+        if (pin && pin.length < 4) {
+            alert('The PIN or passphrase must be at least 4 characters');
+            return false;
+        }
+        if (!pin && this.twoFactor) {
+            alert('Voice + PIN mode is on: enter a PIN or passphrase for this operator');
+            return false;
+        }
+
+        if (!this.credentials.hasAdmin()) {
+            const passphrase = this.adminNew.value;
+            if (passphrase.length < 8) {
+                alert('Create an admin passphrase of at least 8 characters first');
+                return false;
+            }
+            if (passphrase !== this.adminConfirm.value) {
+                alert('The admin passphrases do not match');
+                return false;
+            }
+            await this.credentials.setAdmin(passphrase);
+            this.adminNew.value = '';
+            this.adminConfirm.value = '';
+            // Whoever created the passphrase may finish this enrollment
+            this.enrollmentAuthorized = true;
+            this.updateAdminFields();
+        }
+        return true;
+    }
+
+    /**
+     * Check the admin passphrase typed on the authentication screen (or the setup screen)
+     * Wrong passphrases count towards the same lockout as failed voice matches
+     */
+    async checkAdmin(input = this.adminPassphrase, status = this.authStatus) {
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutCountdown();
+            status.textContent = this.authStatus.textContent;
+            status.style.color = '#dc3545';
+            return false;
+        }
 
-        setTimeout(() => {
-            this.setupPhase.style.display = 'none';
-            this.authPhase.style.display = 'block';
-        }, 1500);
+        const passphrase = input.value;
+        input.value = '';
+        const valid = await this.credentials.verifyAdmin(passphrase);
+        this.recordAttempt(valid);
+
+        if (!valid) {
+            status.textContent = '❌ Wrong or missing admin passphrase';
+            status.style.color = '#dc3545';
+            window.dispatchEvent(new CustomEvent('voiceAuthFailed', {
+                detail: { purpose: 'admin', bestMatch: null, score: null, reason: 'wrong admin passphrase' }
+            }));
+            this.showLockoutCountdown();
+        }
+        return valid;
+    }
+
+    /**
+     * Enroll a new operator, or re-enroll an existing one under the same name (admin only)
+     */
+    async addOperator() {
+        if (await this.checkAdmin()) {
+            this.enrollmentAuthorized = true;
+            this.startEnrollment();
+        }
     }
 
     /**
      * Authenticate voice using deep learning embeddings
      */
     async authenticateVoice() {
-        if (this.voiceEmbeddings.length === 0) {
+        if (this.profiles.length === 0) {
             alert('No voice profile found. Please record samples first.');
             return;
         }
 
+        if (!this.featuresReady) {
+            alert('Please wait for the AI model to load');
+            return;
+        }
+
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutCountdown();
+            return;
+        }
+
+        this.authenticateBtn.classList.add('listening');
+        this.authenticateBtn.textContent = '🎤 Listening...';
+        this.authStatus.style.color = '#667eea';
+
         try {
-            const stream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
+            const match = await this.verifySpeaker({
+                onPrompt: (prompt) => {
+                    this.authStatus.textContent = `${prompt}...`;
+                },
+                onRecorded: () => {
+                    this.authStatus.textContent = 'Analyzing voice pattern...';
                 }
             });
 
-            this.mediaRecorder = new MediaRecorder(stream);
-            this.audioChunks = [];
+            console.log('Best match:', match.profile && match.profile.name, match.score);
+
+            if (match.accepted && this.twoFactor) {
+                this.startPinStep(match);
+            } else if (match.accepted) {
+                this.authStatus.textContent =
+                    `✅ Welcome, ${match.profile.name}! (${Math.round(match.score * 100)}% match)`;
+                this.authStatus.style.color = '#28a745';
+                setTimeout(() => this.unlockSystem(match.profile, match.score, 'voice'), 1000);
+            } else {
+                const livenessFailed = match.liveness && !match.liveness.passed;
+                this.authStatus.textContent = livenessFailed
+                    ? `❌ Challenge failed: ${match.liveness.reason}. Try again.`
+                    : `❌ Voice not recognized (${Math.round(match.score * 100)}% match). Try again.`;
+                this.authStatus.style.color = '#dc3545';
+                window.dispatchEvent(new CustomEvent('voiceAuthFailed', {
+                    detail: {
+                        purpose: 'unlock',
+                        bestMatch: match.profile ? match.profile.name : null,
+                        score: match.score,
+                        reason: livenessFailed ? match.liveness.reason : undefined
+                    }
+                }));
+            }
+        } catch (error) {
+            console.error('Authentication error:', error);
+            if (error.name === 'NotAllowedError' || error.name === 'NotFoundError') {
+                alert('Microphone access required for authentication');
+            } else {
+                this.authStatus.textContent = `❌ ${error.message}`;
+                this.authStatus.style.color = '#dc3545';
+            }
+        } finally {
+            this.authenticateBtn.classList.remove('listening');
+            this.authenticateBtn.textContent = '🎤 Authenticate Voice';
+            // Replaces the status with a countdown if that failure started a lockout
+            this.showLockoutCountdown();
+        }
+    }
 
-            this.authenticateBtn.classList.add('listening');
-            this.authenticateBtn.textContent = '🎤 Listening...';
-            this.authStatus.textContent = 'Say "Unlock robotic arm"...';
-            this.authStatus.style.color = '#667eea';
+    /**
+     * Two-factor mode: the voice matched, now the same operator's PIN is needed
+     */
+    startPinStep(match) {
+        if (!match.profile.pin) {
+            this.authStatus.textContent = `❌ ${match.profile.name} has no PIN - ask an admin to re-enroll them`;
+            this.authStatus.style.color = '#dc3545';
+            return;
+        }
 
-            this.mediaRecorder.ondataavailable = (event) => {
-                this.audioChunks.push(event.data);
-            };
+        this.pendingVoiceMatch = { profile: match.profile, score: match.score, time: Date.now() };
+        this.updatePinSection();
+        this.authStatus.textContent =
+            `✅ Voice matched ${match.profile.name} (${Math.round(match.score * 100)}%) - now enter your PIN`;
+        this.authStatus.style.color = '#667eea';
+        this.pinInput.focus();
+    }
 
-            this.mediaRecorder.onstop = async () => {
-                stream.getTracks().forEach(track => track.stop());
+    /**
+     * Unlock with a PIN alone (voice-or-PIN) or finish a two-factor unlock
+     */
+    async unlockWithPin() {
+        if (this.getLockoutRemaining() > 0) {
+            this.showLockoutCountdown();
+            return;
+        }
 
-                this.authStatus.textContent = 'Analyzing voice pattern...';
+        const pending = this.pendingVoiceMatch;
+        if (this.twoFactor && (!pending || Date.now() - pending.time > this.pinStepTimeout)) {
+            this.pendingVoiceMatch = null;
+            this.authStatus.textContent = '🎤 Authenticate by voice first, then enter your PIN';
+            this.authStatus.style.color = '#dc3545';
+            return;
+        }
 
-                const audioBlob = new Blob(this.audioChunks, { type: 'audio/wav' });
-                const arrayBuffer = await audioBlob.arrayBuffer();
+        const profile = pending ? pending.profile : this.profiles.find(p => p.id === this.pinOperator.value);
+        const valid = Boolean(profile) && await this.credentials.verify(this.pinInput.value, profile.pin);
+        this.pinInput.value = '';
+        this.recordAttempt(valid);
+
+        // One PIN guess per voice match
+        this.pendingVoiceMatch = null;
+        this.updatePinSection();
+
+        if (!valid) {
+            this.authStatus.textContent = pending ? '❌ Wrong PIN - authenticate by voice again' : '❌ Wrong PIN';
+            this.authStatus.style.color = '#dc3545';
+            window.dispatchEvent(new CustomEvent('voiceAuthFailed', {
+                detail: { purpose: 'unlock', bestMatch: profile ? profile.name : null, score: null, reason: 'wrong PIN' }
+            }));
+            this.showLockoutCountdown();
+            return;
+        }
 
-                const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+        this.authStatus.textContent = `✅ Welcome, ${profile.name}!`;
+        this.authStatus.style.color = '#28a745';
+        this.unlockSystem(profile, pending ? pending.score : null, pending ? 'voice+pin' : 'pin');
+    }
 
-                // Extract features from authentication attempt
-                const mfcc = await this.extractMFCC(audioBuffer);
-                const embedding = await this.extractDeepEmbedding(mfcc);
+    /**
+     * Confirm an operator again, e.g. before resetting an emergency stop
+     * Voice-or-PIN mode: a PIN, if given, is checked for the current operator; otherwise voice
+     * Two-factor mode: voice, then the matched operator's PIN
+     * Resolves like verifySpeaker() plus { method, reason } (reason set when not accepted)
+     */
+    async reauthenticate({ pin = '', onPrompt, onRecorded } = {}) {
+        if (pin && !this.twoFactor) {
+            if (this.getLockoutRemaining() > 0) {
+                throw new Error('Too many failed attempts - wait for the lockout to end');
+            }
+            const profile = this.profiles.find(p => this.currentOperator && p.id === this.currentOperator.id);
+            const valid = Boolean(profile) && await this.credentials.verify(pin, profile.pin);
+            this.recordAttempt(valid);
+            return { profile, score: null, accepted: valid, method: 'pin', reason: valid ? null : 'wrong PIN' };
+        }
 
-                // Compare with stored embeddings
-                const similarities = this.voiceEmbeddings.map(storedEmbedding =>
-                    this.cosineSimilarity(embedding, storedEmbedding)
-                );
+        const match = await this.verifySpeaker({ onPrompt, onRecorded });
+        match.method = this.twoFactor ? 'voice+pin' : 'voice';
+        match.reason = match.liveness && !match.liveness.passed ? match.liveness.reason : null;
 
-                const avgSimilarity = similarities.reduce((a, b) => a + b) / similarities.length;
-                const maxSimilarity = Math.max(...similarities);
+        if (match.accepted && this.twoFactor && !(await this.credentials.verify(pin, match.profile.pin))) {
+            this.recordAttempt(false);
+            match.accepted = false;
+            match.reason = pin ? 'wrong PIN' : 'voice + PIN mode needs the PIN as well';
+        }
+        return match;
+    }
 
-                this.authenticateBtn.classList.remove('listening');
-                this.authenticateBtn.textContent = '🎤 Authenticate Voice';
+    /**
+     * Require both voice and PIN (true) or accept either (false)
+     */
+    setTwoFactor(enabled) {
+        this.twoFactor = enabled;
+        this.pendingVoiceMatch = null;
+        this.updatePinSection();
+    }
 
-                console.log('Similarity scores:', similarities);
-                console.log('Average similarity:', avgSimilarity);
-                console.log('Max similarity:', maxSimilarity);
+    /**
+     * Record a clip and identify the speaker among enrolled operators
+     * Resolves with identifySpeaker()'s { profile, score, accepted }, plus
+     * liveness: { passed, reason, transcript } in challenge mode
+     * onPrompt(text) tells the caller what the operator must say;
+     * onRecorded() is called when recording ends and analysis starts
+     */
+    async verifySpeaker({ onPrompt = () => {}, onRecorded = () => {} } = {}) {
+        if (this.profiles.length === 0 || !this.featuresReady) {
+            throw new Error('Voice authentication is not ready');
+        }
 
-                // Use max similarity for authentication
-                if (maxSimilarity > this.threshold) {
-                    this.authStatus.textContent =
-                        `✅ Voice authenticated! (${Math.round(maxSimilarity * 100)}% match)`;
-                    this.authStatus.style.color = '#28a745';
-                    setTimeout(() => this.unlockSystem(), 1000);
-                } else {
-                    this.authStatus.textContent =
-                        `❌ Voice not recognized (${Math.round(maxSimilarity * 100)}% match). Try again.`;
-                    this.authStatus.style.color = '#dc3545';
-                }
-            };
+        const remaining = this.getLockoutRemaining();
+        if (remaining > 0) {
+            throw new Error(`Too many failed attempts - try again in ${Math.ceil(remaining / 1000)} s`);
+        }
 
-            this.mediaRecorder.start();
+        let challenge = null;
+        let recognition = null;
+        if (this.challengeMode) {
+            // On-device only: the answer is never sent to a cloud recognizer
+            recognition = await this.challenge.createRecognizer(() => onPrompt('Downloading the on-device speech model'));
+            challenge = this.challenge.issue();
+            onPrompt(`Say: "${challenge.text}"`);
+        } else {
+            onPrompt('Say "Unlock robotic arm"');
+        }
+
+        // Digits and random words take a little longer to say than the fixed phrase
+        const duration = challenge ? 4000 : 3000;
+        const [audioBuffer, heard] = await Promise.all([
+            this.recordClip(duration),
+            challenge ? this.challenge.transcribe(recognition, duration) : null
+        ]);
+        onRecorded();
+
+        const mfccSequence = await this.extractMFCC(audioBuffer);
+        const embedding = await this.extractDeepEmbedding(mfccSequence);
+
+        // Compare with every enrolled operator
+        const match = this.identifySpeaker(embedding);
+
+        // The right voice saying the wrong words (or a replay) is still a failure
+        if (challenge) {
+            match.liveness = this.challenge.verify(heard, embedding);
+            if (!match.liveness.passed) {
+                console.warn('Challenge failed:', match.liveness.reason);
+                match.accepted = false;
+            }
+        }
+
+        this.recordAttempt(match.accepted);
+        return match;
+    }
+
+    /**
+     * Require a random spoken challenge (true) or accept the fixed phrase (false)
+     */
+    setChallengeMode(enabled) {
+        this.challengeMode = enabled;
+    }
+
+    /**
+     * Failure count and lockout state; kept in localStorage so a reload doesn't reset it
+     * { failures, lockouts, until }
+     */
+    loadLockoutState() {
+        try {
+            return JSON.parse(localStorage.getItem(this.lockoutKey)) || { failures: 0, lockouts: 0, until: 0 };
+        } catch (error) {
+            return { failures: 0, lockouts: 0, until: 0 };
+        }
+    }
+
+    /**
+     * Count a verification attempt; N failures in a row lock voice auth out,
+     * each lockout twice as long as the last (up to maxDelay)
+     */
+    recordAttempt(accepted) {
+        if (accepted) {
+            localStorage.removeItem(this.lockoutKey);
+            return;
+        }
+
+        const state = this.loadLockoutState();
+        state.failures++;
+
+        if (state.failures >= this.lockoutPolicy.maxFailures) {
+            const { baseDelay, maxDelay } = this.lockoutPolicy;
+            const delay = Math.min(maxDelay, baseDelay * Math.pow(2, state.lockouts));
+            state.until = Date.now() + delay;
+            state.lockouts++;
+            state.failures = 0;
+            console.warn(`Voice authentication locked out for ${delay / 1000} s after repeated failures`);
+            window.dispatchEvent(new CustomEvent('voiceLockout', {
+                detail: { until: new Date(state.until).toISOString(), delay }
+            }));
+        }
+
+        localStorage.setItem(this.lockoutKey, JSON.stringify(state));
+    }
+
+    /**
+     * Milliseconds until voice auth accepts attempts again (0 if not locked out)
+     */
+    getLockoutRemaining() {
+        return Math.max(0, this.loadLockoutState().until - Date.now());
+    }
+
+    /**
+     * Disable the authenticate button and count down while locked out
+     */
+    showLockoutCountdown() {
+        clearTimeout(this.lockoutTimer);
+        const remaining = this.getLockoutRemaining();
+
+        if (remaining <= 0) {
+            this.authenticateBtn.disabled = false;
+            return;
+        }
+
+        this.authenticateBtn.disabled = true;
+        this.authStatus.textContent = `⛔ Too many failed attempts. Try again in ${Math.ceil(remaining / 1000)} s`;
+        this.authStatus.style.color = '#dc3545';
+        this.lockoutTimer = setTimeout(() => {
+            this.showLockoutCountdown();
+            if (this.getLockoutRemaining() <= 0) {
+                this.authStatus.textContent = '';
+            }
+        }, 1000);
+    }
+
+    /**
+     * Set the lockout thresholds: { maxFailures, baseDelay (ms), maxDelay (ms) }
+     */
+    setLockoutPolicy(policy) {
+        this.lockoutPolicy = { ...this.lockoutPolicy, ...policy };
+    }
+
+    /**
+     * Record from the microphone for duration ms and decode it to an AudioBuffer
+     */
+    async recordClip(duration) {
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true
+            }
+        });
+
+        const chunks = await new Promise((resolve, reject) => {
+            const recorder = new MediaRecorder(stream);
+            const recorded = [];
+            recorder.ondataavailable = (event) => recorded.push(event.data);
+            recorder.onstop = () => resolve(recorded);
+            recorder.onerror = (event) => reject(event.error);
+            recorder.start();
             setTimeout(() => {
-                if (this.mediaRecorder.state === 'recording') {
-                    this.mediaRecorder.stop();
+                if (recorder.state === 'recording') {
+                    recorder.stop();
                 }
-            }, 3000);
+            }, duration);
+        }).finally(() => stream.getTracks().forEach(track => track.stop()));
 
-        } catch (error) {
-            console.error('Authentication error:', error);
-            alert('Microphone access required for authentication');
+        const audioBlob = new Blob(chunks, { type: 'audio/wav' });
+        const arrayBuffer = await audioBlob.arrayBuffer();
+
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        return await audioContext.decodeAudioData(arrayBuffer);
+    }
+
+    /**
+     * Record a test clip and score it against every operator, without unlocking
+     * or counting towards the lockout (threshold tuning)
+     * Resolves with { quality, scores: [{ profile, score }] }
+     */
+    async scoreSample({ duration = 3000, onRecorded = () => {} } = {}) {
+        if (this.profiles.length === 0 || !this.featuresReady) {
+            throw new Error('Voice authentication is not ready');
+        }
+
+        const audioBuffer = await this.recordClip(duration);
+        onRecorded();
+
+        const quality = this.quality.analyzeClip(audioBuffer);
+        const mfccSequence = await this.extractMFCC(audioBuffer);
+        const embedding = await this.extractDeepEmbedding(mfccSequence);
+
+        const scores = this.profiles.map(profile => ({
+            profile,
+            score: Math.max(...profile.embeddings.map(stored => this.cosineSimilarity(embedding, stored)))
+        }));
+        return { quality, scores };
+    }
+
+    /**
+     * Change one operator's match threshold and save it
+     * Another operator's threshold needs the admin passphrase typed in adminInput (failures shown in status);
+     * returns false if it was refused
+     */
+    async setProfileThreshold(id, threshold, { adminInput = this.adminPassphrase, status = this.authStatus } = {}) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!profile) {
+            throw new Error(`No operator with id "${id}"`);
+        }
+        const own = this.currentOperator && this.currentOperator.id === id;
+        if (!own && !(await this.checkAdmin(adminInput, status))) {
+            return false;
+        }
+        adminInput.value = '';
+        profile.threshold = threshold;
+        await this.profileStore.saveProfile(profile);
+        this.showAuthPhase();
+        return true;
+    }
+
+    getProfiles() {
+        return this.profiles;
+    }
+
+    /**
+     * Find the enrolled operator whose samples best match an embedding
+     * Returns { profile, score, accepted }
+     */
+    identifySpeaker(embedding) {
+        let best = { profile: null, score: 0, accepted: false };
+
+        for (const profile of this.profiles) {
+            const score = Math.max(...profile.embeddings.map(stored =>
+                this.cosineSimilarity(embedding, stored)
+            ));
+            console.log(`Similarity with ${profile.name}:`, score);
+
+            if (score > best.score) {
+                best = { profile, score, accepted: score > profile.threshold };
+            }
         }
+
+        return best;
     }
 
-    unlockSystem() {
+    /**
+     * method: 'voice', 'pin' or 'voice+pin'; score is null for PIN-only unlocks
+     */
+    unlockSystem(profile, score, method = 'voice') {
         this.isLocked = false;
-        this.lockStatus.textContent = 'Unlocked ✓';
+        this.currentOperator = { id: profile.id, name: profile.name, role: profile.role };
+        this.lockStatus.textContent = `Unlocked ✓ - ${profile.name} (${profile.role})`;
         this.lockIndicator.classList.remove('locked');
         this.lockIndicator.style.background = '#28a745';
         this.lockOverlay.style.display = 'none';
 
-        window.dispatchEvent(new CustomEvent('voiceUnlocked'));
+        window.dispatchEvent(new CustomEvent('voiceUnlocked', {
+            detail: { name: profile.name, role: profile.role, score, method }
+        }));
     }
 
-    resetVoiceProfile() {
-        this.voiceEmbeddings = [];
-        this.recordingCount = 0;
-        this.recordCount.textContent = '(1/3)';
-        this.progressFill.style.width = '0%';
-        this.authPhase.style.display = 'none';
-        this.setupPhase.style.display = 'block';
-        this.trainingStatus.textContent = 'Recording sample 1 of 3...';
+    /**
+     * Lock the arm again and show the authentication overlay
+     */
+    lockSystem(reason = 'Locked') {
+        if (this.isLocked) {
+            return;
+        }
+
+        const operator = this.currentOperator;
+        this.isLocked = true;
+        this.currentOperator = null;
+        this.lockStatus.textContent = 'Locked - Voice Auth Required';
+        this.lockIndicator.classList.add('locked');
+        this.lockIndicator.style.background = '';
+        this.lockOverlay.style.display = '';
+        this.authStatus.textContent = `🔒 ${reason}`;
+        this.authStatus.style.color = '#6c757d';
+
+        window.dispatchEvent(new CustomEvent('voiceLocked', {
+            detail: { reason, name: operator ? operator.name : null }
+        }));
+    }
+
+    /**
+     * Delete every enrolled operator (admin only)
+     */
+    async resetVoiceProfile() {
+        if (!(await this.checkAdmin())) {
+            return;
+        }
+
+        try {
+            await this.profileStore.clearProfiles();
+        } catch (error) {
+            console.error('Error deleting voice profiles:', error);
+        }
+
+        this.profiles = [];
+        this.skippedProfiles = 0;
+        this.enrollmentAuthorized = true;
+        this.startEnrollment();
         this.isLocked = true;
+        this.currentOperator = null;
     }
 
     getLockedState() {
         return this.isLocked;
     }
+
+    /**
+     * Operator who unlocked the system ({ id, name, role }), or null while locked
+     */
+    getCurrentOperator() {
+        return this.currentOperator;
+    }
 }
 
 window.VoiceAuthenticator = VoiceAuthenticator;
\ No newline at end of file
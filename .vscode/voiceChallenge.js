@@ -0,0 +1,204 @@
+/**
+ * Voice Challenge Module
+ * Liveness check for voice authentication: the speaker must say a random,
+ * single-use phrase, so a recording of an earlier unlock can't be replayed.
+ * Answers are transcribed on-device only (LocalSpeech); operators' voices never leave the machine
+ */
+
+class VoiceChallenge {
+    /**
+     * similarity(a, b) compares two speaker embeddings (VoiceAuthenticator.cosineSimilarity)
+     */
+    constructor(similarity) {
+        this.similarity = similarity;
+        this.current = null;
+        this.validFor = 20000;        // ms from showing the challenge to the end of the answer
+        this.replayThreshold = 0.995; // Embeddings this similar to an earlier attempt are replays
+        this.storageKey = 'roboticArmVoiceAttempts';
+        this.maxRecent = 200;
+        this.recentEmbeddings = this.loadRecent(); // Earlier attempts, across sessions, newest last
+        this.words = [
+            'amber', 'anchor', 'apple', 'arrow', 'basket', 'bridge', 'candle', 'canyon',
+            'copper', 'dragon', 'forest', 'garden', 'harbor', 'island', 'jacket', 'ladder',
+            'lemon', 'marble', 'meadow', 'orange', 'pencil', 'planet', 'purple', 'rabbit',
+            'river', 'rocket', 'silver', 'tiger', 'tunnel', 'valley', 'window', 'yellow'
+        ];
+        this.digitWords = {
+            zero: '0', oh: '0', one: '1', two: '2', to: '2', too: '2', three: '3', four: '4',
+            for: '4', five: '5', six: '6', seven: '7', eight: '8', nine: '9'
+        };
+    }
+
+    /**
+     * True if the browser can transcribe the spoken answer on-device
+     */
+    static isSupported() {
+        return LocalSpeech.isOnDeviceSupported();
+    }
+
+    /**
+     * On-device recognizer for the answer; throws rather than fall back to a cloud service
+     * onInstalling() is called if the language pack has to be downloaded first
+     */
+    async createRecognizer(onInstalling = () => {}) {
+        try {
+            return await LocalSpeech.create({ onInstalling });
+        } catch (error) {
+            throw new Error(`${error.message}. Challenge phrases need on-device recognition: use a PIN, ` +
+                'or an admin can turn challenges off in the Security panel');
+        }
+    }
+
+    /**
+     * Uniform random integer in [0, max) from the crypto RNG
+     */
+    randomInt(max) {
+        const values = new Uint32Array(1);
+        crypto.getRandomValues(values);
+        return values[0] % max;
+    }
+
+    /**
+     * Issue a new challenge, replacing any unanswered one
+     * Returns { kind: 'digits' | 'words', text, expected, issuedAt }
+     */
+    issue() {
+        const challenge = this.createPhrase(this.randomInt(2) === 0 ? 'digits' : 'words');
+        challenge.issuedAt = Date.now();
+        this.current = challenge;
+        return challenge;
+    }
+
+    /**
+     * A random phrase of one kind: 5 digits or 3 words ({ kind, text, expected })
+     * Also used for enrollment samples, so profiles include speech like the challenges
+     */
+    createPhrase(kind) {
+        if (kind === 'digits') {
+            const digits = Array.from({ length: 5 }, () => String(this.randomInt(10)));
+            return { kind, text: digits.join(' '), expected: digits.join('') };
+        }
+        const words = Array.from({ length: 3 }, () => this.words[this.randomInt(this.words.length)]);
+        return { kind, text: words.join(' '), expected: words.join(' ') };
+    }
+
+    /**
+     * Transcribe speech for up to duration ms with a recognizer from createRecognizer()
+     * Resolves with one array of alternative transcripts per recognized result
+     */
+    transcribe(recognition, duration) {
+        recognition.continuous = true;
+        recognition.interimResults = false;
+        recognition.maxAlternatives = 3;
+
+        return new Promise((resolve) => {
+            const heard = [];
+            recognition.onresult = (event) => {
+                for (let i = event.resultIndex; i < event.results.length; i++) {
+                    // Keep the alternatives so a misheard "for"/"four" can still match
+                    heard.push(Array.from(event.results[i]).map(alternative => alternative.transcript));
+                }
+            };
+            recognition.onerror = (event) => console.warn('Challenge transcription error:', event.error);
+            recognition.onend = () => resolve(heard);
+
+            recognition.start();
+            setTimeout(() => recognition.stop(), duration);
+        });
+    }
+
+    /**
+     * Check the answer to the current challenge; the challenge is used up either way
+     * heard is transcribe()'s output, embedding the attempt's speaker embedding
+     * Returns { passed, reason, transcript }
+     */
+    verify(heard, embedding) {
+        const challenge = this.current;
+        this.current = null;
+
+        const replayed = this.isReplay(embedding);
+        this.remember(embedding);
+
+        if (!challenge) {
+            return { passed: false, reason: 'no challenge was issued', transcript: '' };
+        }
+        if (Date.now() - challenge.issuedAt > this.validFor) {
+            return { passed: false, reason: 'the challenge expired', transcript: '' };
+        }
+        if (replayed) {
+            return { passed: false, reason: 'audio matches an earlier attempt (replay)', transcript: '' };
+        }
+
+        // The top transcript, then variants swapping in one lower-ranked alternative
+        const candidates = [heard.map(alternatives => alternatives[0]).join(' ')];
+        heard.forEach((alternatives, index) => {
+            alternatives.slice(1).forEach(alternative => {
+                const words = heard.map(options => options[0]);
+                words[index] = alternative;
+                candidates.push(words.join(' '));
+            });
+        });
+
+        const transcript = candidates[0] || '';
+        const matched = candidates.some(candidate => this.normalize(candidate, challenge.kind) === challenge.expected);
+        if (!matched) {
+            return { passed: false, reason: `heard "${transcript}" instead of "${challenge.text}"`, transcript };
+        }
+        return { passed: true, reason: null, transcript };
+    }
+
+    /**
+     * Reduce a transcript to the form of challenge.expected
+     * digits: "four 7 2, nine 1" -> "47291"; words: lower-case words separated by spaces
+     */
+    normalize(transcript, kind) {
+        const words = transcript.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+
+        if (kind === 'digits') {
+            return words.map(word => {
+                if (/^\d+$/.test(word)) {
+                    return word;
+                }
+                return Object.hasOwn(this.digitWords, word) ? this.digitWords[word] : '';
+            }).join('');
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * A live voice never produces the same embedding twice; a played-back recording nearly does
+     */
+    isReplay(embedding) {
+        return this.recentEmbeddings.some(previous => this.similarity(previous, embedding) >= this.replayThreshold);
+    }
+
+    /**
+     * Kept in localStorage, so a recording of an attempt from an earlier session is caught too
+     */
+    remember(embedding) {
+        this.recentEmbeddings.push(Array.from(embedding, value => Math.round(value * 1e5) / 1e5));
+        this.recentEmbeddings = this.recentEmbeddings.slice(-this.maxRecent);
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.recentEmbeddings));
+        } catch (error) {
+            console.error('Error saving recent voice attempts:', error);
+        }
+    }
+
+    loadRecent() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            console.error('Error loading recent voice attempts:', error);
+            return [];
+        }
+    }
+}
+
+// Also loaded by the Node tests (node/test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceChallenge;
+} else {
+    window.VoiceChallenge = VoiceChallenge;
+}
\ No newline at end of file
@@ -0,0 +1,237 @@
+/**
+ * Voice Command Module
+ * Hands-free arm control with short spoken phrases after voice unlock
+ */
+
+class VoiceCommander {
+    constructor() {
+        this.recognition = null;
+        this.isListening = false;
+        this.isStarting = false;
+        this.cloudStorageKey = 'roboticArmCloudSpeech'; // Operator opted in to cloud recognition
+        this.defaultStep = 10; // degrees for "base left" without a number
+
+        this.initElements();
+        this.attachEventListeners();
+    }
+
+    initElements() {
+        this.voiceControlBtn = document.getElementById('voiceControlBtn');
+        this.voiceTranscript = document.getElementById('voiceTranscript');
+        this.voiceCommandStatus = document.getElementById('voiceCommandStatus');
+        this.allowCloudSpeech = document.getElementById('allowCloudSpeech');
+
+        this.allowCloudSpeech.checked = localStorage.getItem(this.cloudStorageKey) === 'true';
+    }
+
+    attachEventListeners() {
+        this.voiceControlBtn.addEventListener('click', () => {
+            if (this.isListening) {
+                this.stop();
+            } else {
+                this.start();
+            }
+        });
+        this.allowCloudSpeech.addEventListener('change', () => {
+            localStorage.setItem(this.cloudStorageKey, String(this.allowCloudSpeech.checked));
+        });
+    }
+
+    /**
+     * Start continuous speech recognition, on-device unless the operator allowed the cloud
+     */
+    async start() {
+        if (this.isStarting) {
+            return;
+        }
+
+        this.isStarting = true;
+        try {
+            this.recognition = await LocalSpeech.create({
+                allowCloud: this.allowCloudSpeech.checked,
+                onInstalling: () => this.showStatus('Downloading the on-device speech model...', '#667eea')
+            });
+        } catch (error) {
+            this.showStatus(`${error.message} (tick "Allow cloud recognition" to use it anyway)`, '#dc3545');
+            return;
+        } finally {
+            this.isStarting = false;
+        }
+
+        // Controls were disabled while the recognizer was being prepared
+        if (this.voiceControlBtn.disabled) {
+            this.recognition = null;
+            return;
+        }
+
+        this.recognition.continuous = true;
+        this.recognition.interimResults = true;
+
+        this.recognition.onresult = (event) => this.handleResult(event);
+        this.recognition.onerror = (event) => {
+            console.error('Speech recognition error:', event.error);
+            this.showStatus(`Speech recognition error: ${event.error}`, '#dc3545');
+        };
+        this.recognition.onend = () => {
+            // Chrome ends continuous sessions after a pause; keep listening until stopped
+            if (this.isListening) {
+                this.recognition.start();
+            }
+        };
+
+        this.recognition.start();
+        this.isListening = true;
+        this.voiceControlBtn.classList.add('listening');
+        this.voiceControlBtn.textContent = '🎙️ Stop Voice Control';
+        this.showStatus(LocalSpeech.isLocal(this.recognition)
+            ? 'Listening for commands...'
+            : 'Listening for commands (cloud recognition)...', '#667eea');
+    }
+
+    /**
+     * Stop listening for commands
+     */
+    stop() {
+        this.isListening = false;
+        if (this.recognition) {
+            this.recognition.stop();
+            this.recognition = null;
+        }
+        this.voiceControlBtn.classList.remove('listening');
+        this.voiceControlBtn.textContent = '🎙️ Start Voice Control';
+    }
+
+    /**
+     * Results from resultIndex on are new or changed since the last event; act on each final one
+     */
+    handleResult(event) {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            const phrase = result[0].transcript.trim();
+            this.voiceTranscript.textContent = `"${phrase}"`;
+
+            if (result.isFinal) {
+                this.handlePhrase(phrase);
+            }
+        }
+    }
+
+    handlePhrase(phrase) {
+        const action = this.parsePhrase(phrase);
+        if (!action) {
+            this.showStatus(`❓ Not a command: "${phrase}"`, '#dc3545');
+            return;
+        }
+
+        window.dispatchEvent(new CustomEvent('voiceCommand', { detail: { phrase, action } }));
+    }
+
+    /**
+     * Translate a spoken phrase into an arm action
+     * Returns one of:
+     *   { type: 'stop' } | { type: 'home' }
+     *   { type: 'absolute', joint, angle } | { type: 'relative', joint, delta }
+     * or null if the phrase isn't a command
+     */
+    parsePhrase(phrase) {
+        const words = phrase.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').split(/\s+/).filter(Boolean);
+        const text = words.join(' ');
+
+        if (/\bstop\b/.test(text)) {
+            return { type: 'stop' };
+        }
+        if (/\b(home|reset)\b/.test(text)) {
+            return { type: 'home' };
+        }
+        if (/\b(open|release)\b/.test(text) && /\b(claw|gripper)\b/.test(text)) {
+            return { type: 'absolute', joint: 'claw', angle: ArmProtocol.CLAW_OPEN };
+        }
+        if (/\b(close|grab|grip)\b/.test(text) && /\b(claw|gripper)\b/.test(text)) {
+            return { type: 'absolute', joint: 'claw', angle: ArmProtocol.CLAW_CLOSED };
+        }
+
+        const jointWords = { base: 'base', mid: 'mid', middle: 'mid', near: 'near', claw: 'claw' };
+        const joint = jointWords[words.find(word => Object.hasOwn(jointWords, word))];
+        if (!joint) {
+            return null;
+        }
+
+        const amount = this.parseNumber(words);
+
+        // "base left 20", "mid up", "near down 15"
+        const direction = words.find(word => ['left', 'right', 'up', 'down'].includes(word));
+        if (direction) {
+            const sign = (direction === 'left' || direction === 'up') ? 1 : -1;
+            return { type: 'relative', joint, delta: sign * (amount === null ? this.defaultStep : amount) };
+        }
+
+        // "base 90", "mid to 120"
+        if (amount !== null) {
+            return { type: 'absolute', joint, angle: amount };
+        }
+
+        return null;
+    }
+
+    /**
+     * Read a number from digits or simple number words ("one hundred twenty")
+     */
+    parseNumber(words) {
+        const digits = words.find(word => /^\d+$/.test(word));
+        if (digits) {
+            return parseInt(digits, 10);
+        }
+
+        const units = {
+            zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+            ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+            sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+        };
+        const tens = { twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90 };
+
+        let total = 0;
+        let found = false;
+        for (const word of words) {
+            if (Object.hasOwn(units, word)) {
+                total += units[word];
+                found = true;
+            } else if (Object.hasOwn(tens, word)) {
+                total += tens[word];
+                found = true;
+            } else if (word === 'hundred' && found) {
+                total *= 100;
+            }
+        }
+        return found ? total : null;
+    }
+
+    /**
+     * Show the outcome of a recognized command
+     */
+    showStatus(message, color) {
+        this.voiceCommandStatus.textContent = message;
+        this.voiceCommandStatus.style.color = color;
+    }
+
+    /**
+     * Enable or disable voice control; disabling also stops listening
+     */
+    setEnabled(enabled) {
+        this.voiceControlBtn.disabled = !enabled;
+        if (!enabled && this.isListening) {
+            this.stop();
+            this.showStatus('Voice control stopped - controls disabled', '#6c757d');
+        }
+    }
+
+    getListeningState() {
+        return this.isListening;
+    }
+}
+
+// Also loaded by the Node tests (node/test)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceCommander;
+} else {
+    window.VoiceCommander = VoiceCommander;
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+/**
+ * Voice Profile Storage Module
+ * Persists enrolled voice profiles in IndexedDB
+ */
+
+class VoiceProfileStore {
+    constructor(dbName = 'roboticArmVoice', storeName = 'profiles') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    /**
+     * Open (and create if needed) the profile database
+     */
+    open() {
+        if (this.db) {
+            return Promise.resolve(this.db);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the profile store
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    saveProfile(profile) {
+        return this.run('readwrite', store => store.put(profile));
+    }
+
+    loadProfile(id) {
+        return this.run('readonly', store => store.get(id));
+    }
+
+    loadAllProfiles() {
+        return this.run('readonly', store => store.getAll());
+    }
+
+    deleteProfile(id) {
+        return this.run('readwrite', store => store.delete(id));
+    }
+
+    clearProfiles() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+window.VoiceProfileStore = VoiceProfileStore;
\ No newline at end of file
@@ -0,0 +1,161 @@
+/**
+ * Voice Quality Module
+ * Rejects unusable enrollment clips and turns similarity scores into threshold suggestions
+ */
+
+class VoiceQuality {
+    /**
+     * similarity(a, b) compares two speaker embeddings (VoiceAuthenticator.cosineSimilarity)
+     */
+    constructor(similarity) {
+        this.similarity = similarity;
+        this.minPeak = 0.05;          // Loudest sample, full scale = 1
+        this.minLevelDb = -35;        // Average level of the speech frames (dBFS)
+        this.clipLevel = 0.99;        // Samples at or above this are clipped
+        this.maxClippedRatio = 0.001; // More than 0.1% clipped samples sounds distorted
+        this.speechFloorDb = -50;     // Frames quieter than this are never speech
+        this.speechRangeDb = 30;      // ... nor frames this far below the loudest frame
+        this.minSpeechRatio = 0.2;    // At least a fifth of the clip must be speech
+        this.thresholdRange = { min: 0.65, max: 0.95 };
+        this.margin = 0.05;           // Suggested threshold sits this far below the weakest sample
+        this.minConsistency = 0.7;    // Samples agreeing less than this should be re-recorded
+    }
+
+    /**
+     * Check a recorded clip's level, clipping and amount of speech
+     * Returns { ok, problems: [text], peak, levelDb, clippedRatio, speechRatio }
+     */
+    analyzeClip(audioBuffer) {
+        const samples = audioBuffer.getChannelData(0);
+        const frameLength = Math.max(1, Math.floor(0.025 * audioBuffer.sampleRate));
+
+        let peak = 0;
+        let clipped = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const level = Math.abs(samples[i]);
+            peak = Math.max(peak, level);
+            if (level >= this.clipLevel) {
+                clipped++;
+            }
+        }
+
+        // Power of each 25 ms frame in dBFS
+        const energies = [];
+        for (let start = 0; start + frameLength <= samples.length; start += frameLength) {
+            let power = 0;
+            for (let i = start; i < start + frameLength; i++) {
+                power += samples[i] * samples[i];
+            }
+            energies.push(10 * Math.log10(power / frameLength + 1e-10));
+        }
+
+        const cutoff = Math.max(this.speechFloorDb, Math.max(...energies) - this.speechRangeDb);
+        const speech = energies.filter(energy => energy > cutoff);
+        const speechRatio = energies.length > 0 ? speech.length / energies.length : 0;
+        const levelDb = speech.length > 0
+            ? 10 * Math.log10(speech.reduce((sum, energy) => sum + Math.pow(10, energy / 10), 0) / speech.length)
+            : -100;
+        const clippedRatio = samples.length > 0 ? clipped / samples.length : 0;
+
+        const problems = [];
+        if (peak < this.minPeak || levelDb < this.minLevelDb) {
+            problems.push('too quiet - speak up or move closer to the microphone');
+        }
+        if (clippedRatio > this.maxClippedRatio) {
+            problems.push('clipped - speak more softly or move back from the microphone');
+        }
+        if (speechRatio < this.minSpeechRatio) {
+            problems.push('mostly silence - say the whole phrase while recording');
+        }
+
+        return { ok: problems.length === 0, problems, peak, levelDb, clippedRatio, speechRatio };
+    }
+
+    /**
+     * Score a new operator's samples against each other and against everyone else
+     * Each sample is compared with the best of the others, as identifySpeaker() would
+     * Returns { selfScores, consistency, weakest, impostorMax, closest, suggestedThreshold, warnings }
+     */
+    scoreEnrollment(embeddings, otherProfiles = []) {
+        const selfScores = embeddings.map((embedding, i) => Math.max(
+            ...embeddings.filter((_, j) => j !== i).map(other => this.similarity(embedding, other))
+        ));
+        const consistency = selfScores.reduce((sum, score) => sum + score, 0) / selfScores.length;
+        const weakest = Math.min(...selfScores);
+
+        // Highest score another enrolled operator would get against these samples
+        let impostorMax = 0;
+        let closest = null;
+        otherProfiles.forEach(profile => {
+            profile.embeddings.forEach(stored => {
+                embeddings.forEach(embedding => {
+                    const score = this.similarity(embedding, stored);
+                    if (score > impostorMax) {
+                        impostorMax = score;
+                        closest = profile.name;
+                    }
+                });
+            });
+        });
+
+        const warnings = [];
+        let suggested = this.clampThreshold(weakest - this.margin);
+        if (closest && suggested <= impostorMax) {
+            suggested = this.clampThreshold(impostorMax + 0.01);
+            warnings.push(`sounds similar to ${closest} (${Math.round(impostorMax * 100)}%)`);
+        }
+        if (consistency < this.minConsistency) {
+            warnings.push('samples differ a lot - re-record in a quieter place');
+        }
+
+        return {
+            selfScores,
+            consistency,
+            weakest,
+            impostorMax,
+            closest,
+            suggestedThreshold: Math.round(suggested * 100) / 100,
+            warnings
+        };
+    }
+
+    clampThreshold(threshold) {
+        return Math.min(this.thresholdRange.max, Math.max(this.thresholdRange.min, threshold));
+    }
+
+    /**
+     * False-reject and false-accept rates at a threshold (accepted = score > threshold)
+     * genuine: scores of the operator's own attempts, impostor: scores of other speakers
+     */
+    errorRates(genuine, impostor, threshold) {
+        const rate = (scores, failed) => scores.length > 0 ? scores.filter(failed).length / scores.length : null;
+        return {
+            frr: rate(genuine, score => score <= threshold),
+            far: rate(impostor, score => score > threshold)
+        };
+    }
+
+    /**
+     * Threshold (0.50-0.99) with the fewest false rejects plus false accepts;
+     * ties go to the stricter threshold, or the looser one when there are only impostor scores
+     */
+    suggestFromTrials(genuine, impostor) {
+        if (genuine.length === 0 && impostor.length === 0) {
+            return null;
+        }
+
+        const preferStricter = genuine.length > 0;
+        let best = null;
+        for (let step = 50; step <= 99; step++) {
+            const threshold = step / 100;
+            const { frr, far } = this.errorRates(genuine, impostor, threshold);
+            const cost = (frr || 0) + (far || 0);
+            if (!best || cost < best.cost || (cost === best.cost && preferStricter)) {
+                best = { threshold, frr, far, cost };
+            }
+        }
+        return best;
+    }
+}
+
+window.VoiceQuality = VoiceQuality;
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * Voice Test Panel
+ * Repeated verification attempts, score distributions and per-operator threshold tuning
+ */
+
+class VoiceTestPanel {
+    constructor(voiceAuth) {
+        this.voiceAuth = voiceAuth;
+        this.quality = voiceAuth.quality;
+        this.trials = {};   // profile id -> { genuine: [scores], impostor: [scores] }
+        this.running = false;
+        this.enabled = false;
+        this.pauseBetween = 800; // ms between attempts so the speaker can breathe
+        this.binWidth = 0.05;
+
+        this.initElements();
+        this.attachEventListeners();
+        this.populateOperators();
+    }
+
+    initElements() {
+        this.speakerSelect = document.getElementById('testSpeaker');
+        this.operatorSelect = document.getElementById('testOperator');
+        this.attemptsInput = document.getElementById('testAttempts');
+        this.runBtn = document.getElementById('runVoiceTest');
+        this.stopBtn = document.getElementById('stopVoiceTest');
+        this.clearBtn = document.getElementById('clearVoiceTest');
+        this.canvas = document.getElementById('voiceTestCanvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.statsText = document.getElementById('voiceTestStats');
+        this.thresholdInput = document.getElementById('testThreshold');
+        this.useSuggestionBtn = document.getElementById('useSuggestedThreshold');
+        this.applyBtn = document.getElementById('applyThreshold');
+        this.adminInput = document.getElementById('testAdminPassphrase');
+        this.testStatus = document.getElementById('voiceTestStatus');
+    }
+
+    attachEventListeners() {
+        this.runBtn.addEventListener('click', () => this.run());
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.clearBtn.addEventListener('click', () => this.clear());
+        this.operatorSelect.addEventListener('change', () => this.selectOperator());
+        this.thresholdInput.addEventListener('input', () => this.render());
+        this.useSuggestionBtn.addEventListener('click', () => this.useSuggestion());
+        this.applyBtn.addEventListener('click', () => this.applyThreshold());
+
+        // Operators can only be enrolled on the lock screen, so refresh on the way back in
+        window.addEventListener('voiceUnlocked', () => this.populateOperators());
+    }
+
+    populateOperators() {
+        const profiles = this.voiceAuth.getProfiles();
+        const selected = this.operatorSelect.value;
+        const speaker = this.speakerSelect.value;
+
+        this.operatorSelect.innerHTML = '';
+        this.speakerSelect.innerHTML = '';
+        profiles.forEach(profile => {
+            this.operatorSelect.appendChild(new Option(profile.name, profile.id));
+            this.speakerSelect.appendChild(new Option(profile.name, profile.id));
+        });
+        this.speakerSelect.appendChild(new Option('Someone not enrolled', ''));
+
+        if (profiles.some(profile => profile.id === selected)) {
+            this.operatorSelect.value = selected;
+        }
+        if (speaker === '' || profiles.some(profile => profile.id === speaker)) {
+            this.speakerSelect.value = speaker;
+        }
+        this.selectOperator();
+    }
+
+    getSelectedProfile() {
+        return this.voiceAuth.getProfiles().find(profile => profile.id === this.operatorSelect.value) || null;
+    }
+
+    getTrials(id) {
+        if (!this.trials[id]) {
+            this.trials[id] = { genuine: [], impostor: [] };
+        }
+        return this.trials[id];
+    }
+
+    /**
+     * Show the chosen operator's current threshold and scores
+     */
+    selectOperator() {
+        const profile = this.getSelectedProfile();
+        this.thresholdInput.value = profile ? profile.threshold.toFixed(2) : '';
+        this.render();
+    }
+
+    /**
+     * Record the requested number of attempts from the selected speaker
+     * Each attempt is a genuine score for the speaker's own profile and an impostor score for everyone else
+     */
+    async run() {
+        const attempts = Number(this.attemptsInput.value);
+        if (!Number.isInteger(attempts) || attempts < 1 || attempts > 50) {
+            this.showStatus('❌ Attempts must be a whole number from 1 to 50', '#dc3545');
+            return;
+        }
+
+        const speakerId = this.speakerSelect.value;
+        const speakerName = speakerId ? this.speakerSelect.selectedOptions[0].textContent : 'someone not enrolled';
+        let skipped = 0;
+
+        this.running = true;
+        this.updateButtons();
+
+        try {
+            for (let i = 1; i <= attempts && this.running; i++) {
+                this.showStatus(`🎤 Attempt ${i} of ${attempts} (${speakerName}): say "Unlock robotic arm"...`, '#667eea');
+                const result = await this.voiceAuth.scoreSample({
+                    onRecorded: () => this.showStatus(`Analyzing attempt ${i} of ${attempts}...`, '#667eea')
+                });
+
+                // A bad clip says more about the microphone than the threshold
+                if (!result.quality.ok) {
+                    skipped++;
+                    this.showStatus(`⚠️ Attempt ${i} skipped: ${result.quality.problems.join('; ')}`, '#dc3545');
+                } else {
+                    result.scores.forEach(({ profile, score }) => {
+                        const trials = this.getTrials(profile.id);
+                        (profile.id === speakerId ? trials.genuine : trials.impostor).push(score);
+                    });
+                    this.render();
+                }
+
+                if (i < attempts && this.running) {
+                    await new Promise(resolve => setTimeout(resolve, this.pauseBetween));
+                }
+            }
+
+            this.showStatus(`✅ Test finished${skipped > 0 ? ` (${skipped} unusable clip(s) skipped)` : ''}`, '#28a745');
+        } catch (error) {
+            console.error('Voice test error:', error);
+            this.showStatus(`❌ Test failed: ${error.message}`, '#dc3545');
+        } finally {
+            this.running = false;
+            this.updateButtons();
+        }
+    }
+
+    /**
+     * Stop after the attempt in progress
+     */
+    stop() {
+        this.running = false;
+        this.showStatus('Stopping after this attempt...', '#6c757d');
+    }
+
+    clear() {
+        this.trials = {};
+        this.render();
+        this.showStatus('Scores cleared', '#6c757d');
+    }
+
+    useSuggestion() {
+        const profile = this.getSelectedProfile();
+        if (!profile) {
+            return;
+        }
+        const { genuine, impostor } = this.getTrials(profile.id);
+        const suggestion = this.quality.suggestFromTrials(genuine, impostor);
+        if (!suggestion) {
+            this.showStatus('❌ Run some attempts first', '#dc3545');
+            return;
+        }
+        this.thresholdInput.value = suggestion.threshold.toFixed(2);
+        this.render();
+    }
+
+    async applyThreshold() {
+        const profile = this.getSelectedProfile();
+        const threshold = Number(this.thresholdInput.value);
+        if (!profile) {
+            return;
+        }
+        if (!Number.isFinite(threshold) || threshold < 0.5 || threshold > 0.99) {
+            this.showStatus('❌ Threshold must be between 0.50 and 0.99', '#dc3545');
+            return;
+        }
+
+        const previous = profile.threshold;
+        try {
+            // Other operators' thresholds need the admin passphrase; a refusal is shown in testStatus
+            const saved = await this.voiceAuth.setProfileThreshold(profile.id, threshold, {
+                adminInput: this.adminInput,
+                status: this.testStatus
+            });
+            if (!saved) {
+                return;
+            }
+            window.dispatchEvent(new CustomEvent('voiceThresholdChanged', {
+                detail: { name: profile.name, threshold, previous }
+            }));
+            this.showStatus(`✅ ${profile.name} now needs a match above ${Math.round(threshold * 100)}%`, '#28a745');
+            this.render();
+        } catch (error) {
+            console.error('Error saving threshold:', error);
+            this.showStatus(`❌ ${error.message}`, '#dc3545');
+        }
+    }
+
+    render() {
+        const profile = this.getSelectedProfile();
+        const { genuine, impostor } = profile ? this.getTrials(profile.id) : { genuine: [], impostor: [] };
+        const threshold = Number(this.thresholdInput.value);
+
+        this.drawHistogram(genuine, impostor, threshold);
+
+        if (!profile || genuine.length + impostor.length === 0) {
+            this.statsText.textContent = 'No attempts yet';
+            return;
+        }
+
+        const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+        const summary = (scores, extreme, label) => scores.length === 0
+            ? 'none'
+            : `${scores.length}, mean ${percent(scores.reduce((sum, s) => sum + s, 0) / scores.length)}, ${label} ${percent(extreme(...scores))}`;
+        const rates = this.quality.errorRates(genuine, impostor, threshold);
+        const suggestion = this.quality.suggestFromTrials(genuine, impostor);
+
+        this.statsText.textContent =
+            `Genuine: ${summary(genuine, Math.min, 'lowest')} | Impostor: ${summary(impostor, Math.max, 'highest')} | ` +
+            `At ${percent(threshold)}: false rejects ${percent(rates.frr)}, false accepts ${percent(rates.far)} | ` +
+            `Suggested ${percent(suggestion.threshold)}`;
+    }
+
+    /**
+     * Score histogram: genuine attempts in green, impostors in red, threshold as a line
+     */
+    drawHistogram(genuine, impostor, threshold) {
+        const ctx = this.ctx;
+        const { width, height } = this.canvas;
+        const bins = Math.round(1 / this.binWidth);
+        const count = scores => {
+            const counts = new Array(bins).fill(0);
+            scores.forEach(score => {
+                counts[Math.min(bins - 1, Math.max(0, Math.floor(score / this.binWidth)))]++;
+            });
+            return counts;
+        };
+        const genuineCounts = count(genuine);
+        const impostorCounts = count(impostor);
+        const tallest = Math.max(1, ...genuineCounts, ...impostorCounts);
+
+        const left = 10;
+        const bottom = height - 20;
+        const binPixels = (width - 2 * left) / bins;
+        const barHeight = n => n / tallest * (bottom - 20);
+
+        ctx.save();
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px Segoe UI, sans-serif';
+
+        for (let i = 0; i < bins; i++) {
+            const x = left + i * binPixels;
+            ctx.fillStyle = '#28a745';
+            ctx.fillRect(x + 1, bottom - barHeight(genuineCounts[i]), binPixels / 2 - 1, barHeight(genuineCounts[i]));
+            ctx.fillStyle = '#dc3545';
+            ctx.fillRect(x + binPixels / 2, bottom - barHeight(impostorCounts[i]), binPixels / 2 - 1, barHeight(impostorCounts[i]));
+        }
+
+        // Axis with a label every 0.2
+        ctx.strokeStyle = '#ddd';
+        ctx.fillStyle = '#999';
+        ctx.beginPath();
+        ctx.moveTo(left, bottom);
+        ctx.lineTo(width - left, bottom);
+        ctx.stroke();
+        for (let tick = 0; tick <= 5; tick++) {
+            const x = left + tick / 5 * (width - 2 * left);
+            ctx.fillText(`${tick * 20}%`, Math.min(x, width - 35), height - 5);
+        }
+
+        if (Number.isFinite(threshold)) {
+            const x = left + threshold * (width - 2 * left);
+            ctx.strokeStyle = '#667eea';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, 5);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.fillStyle = '#667eea';
+            ctx.fillText('threshold', Math.min(x + 4, width - 60), 15);
+        }
+
+        ctx.fillStyle = '#28a745';
+        ctx.fillText('■ genuine', left, 15);
+        ctx.fillStyle = '#dc3545';
+        ctx.fillText('■ impostor', left + 75, 15);
+        ctx.restore();
+    }
+
+    updateButtons() {
+        this.runBtn.disabled = !this.enabled || this.running;
+        this.stopBtn.disabled = !this.running;
+        this.applyBtn.disabled = !this.enabled || this.running;
+        this.speakerSelect.disabled = this.running;
+        this.attemptsInput.disabled = this.running;
+    }
+
+    /**
+     * Only unlocked operators may run tests or change thresholds
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.running = false;
+        }
+        this.updateButtons();
+    }
+
+    showStatus(message, color) {
+        this.testStatus.textContent = message;
+        this.testStatus.style.color = color;
+    }
+}
+
+window.VoiceTestPanel = VoiceTestPanel;
\ No newline at end of file